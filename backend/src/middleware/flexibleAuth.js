@@ -56,6 +56,22 @@ const flexibleAuthMiddleware = async (req, res, next) => {
         correlationId: req.correlationId,
         ip: req.ip
       });
+
+      // A guest whose data moved to an account must sign in instead
+      try {
+        const guestDoc = await admin.firestore().collection('guests').doc(idToken).get();
+        if (guestDoc.exists && guestDoc.data().migration) {
+          return res.status(410).json({
+            message: 'This guest session was moved to an account. Please sign in.',
+            code: 'GUEST_MIGRATED'
+          });
+        }
+      } catch (lookupError) {
+        logger.warn('Guest migration lookup failed', {
+          error: lookupError.message,
+          correlationId: req.correlationId
+        });
+      }
       
       req.user = {
         uid: idToken,
@@ -147,6 +163,24 @@ const strictAuthMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Guest-aware authentication middleware - requires a token, which may be a
+ * Firebase token or a guest/offline token (stored in the guest sandbox)
+ */
+const guestAuthMiddleware = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const idToken = authHeader?.split('Bearer ')[1];
+
+  if (!idToken) {
+    return res.status(401).json({ 
+      message: 'Authentication required', 
+      code: 'NO_TOKEN' 
+    });
+  }
+
+  return flexibleAuthMiddleware(req, res, next);
+};
+
 /**
  * Optional authentication middleware - works with or without token
  */
@@ -181,5 +215,6 @@ const optionalAuthMiddleware = async (req, res, next) => {
 module.exports = {
   flexibleAuthMiddleware,
   strictAuthMiddleware,
+  guestAuthMiddleware,
   optionalAuthMiddleware
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+const AccountErasure = require('../accountErasure');
+
+describe('AccountErasure', () => {
+  let erasure;
+  let handlers;
+  let calls;
+
+  beforeEach(() => {
+    erasure = new AccountErasure({ signingKey: 'test-key', subcollections: ['todos', 'journal'] });
+    calls = [];
+
+    const count = name => async () => {
+      calls.push(name);
+      return 1;
+    };
+    handlers = {
+      calendar: count('calendar'),
+      collection: async (name, progress) => {
+        calls.push(`collection:${name}`);
+        await progress(500);
+        return 750;
+      },
+      otherCollections: count('otherCollections'),
+      coachConversations: count('coachConversations'),
+      focusSessions: count('focusSessions'),
+      sharedTemplates: count('sharedTemplates'),
+      exportFiles: count('exportFiles'),
+      logs: count('logs'),
+      profile: count('profile'),
+      auth: count('auth')
+    };
+  });
+
+  const createRequest = () => ({
+    id: 'req-1',
+    ...erasure.createRequest('user-1', { requestedAt: new Date('2026-03-02T10:00:00Z') })
+  });
+
+  describe('Running', () => {
+    test('should run every step in order and sign a receipt', async () => {
+      const snapshots = [];
+      const request = await erasure.run(createRequest(), handlers, {
+        onProgress: async current => { snapshots.push(current.status); },
+        now: () => new Date('2026-03-02T10:05:00Z')
+      });
+
+      expect(calls).toEqual([
+        'calendar', 'collection:todos', 'collection:journal', 'otherCollections', 'coachConversations',
+        'focusSessions', 'sharedTemplates', 'exportFiles', 'logs', 'profile', 'auth'
+      ]);
+      expect(request.status).toBe('completed');
+      expect(request.steps.find(step => step.name === 'collection:todos').deleted).toBe(750);
+      expect(request.receipt).toMatchObject({
+        requestId: 'req-1',
+        subject: erasure.hashUserId('user-1'),
+        totalDeleted: 750 * 2 + 9,
+        completedAt: '2026-03-02T10:05:00.000Z'
+      });
+      expect(JSON.stringify(request.receipt)).not.toContain('user-1');
+      expect(snapshots[snapshots.length - 1]).toBe('completed');
+    });
+
+    test('should stop at a failing step and resume from it', async () => {
+      let failLogs = true;
+      handlers.logs = async () => {
+        if (failLogs) throw new Error('disk unavailable');
+        calls.push('logs');
+        return 2;
+      };
+
+      const request = await erasure.run(createRequest(), handlers);
+      expect(request.status).toBe('failed');
+      expect(request.error).toBe('logs: disk unavailable');
+      expect(calls).not.toContain('profile');
+
+      calls = [];
+      failLogs = false;
+      await erasure.run(request, handlers);
+
+      expect(calls).toEqual(['logs', 'profile', 'auth']);
+      expect(request.status).toBe('completed');
+      expect(request.attempts).toBe(2);
+    });
+
+    test('should keep records counted before a step failed', async () => {
+      let attempt = 0;
+      handlers.collection = async (name, progress) => {
+        if (name !== 'todos') return 0;
+        attempt++;
+        await progress(attempt === 1 ? 400 : 100);
+        if (attempt === 1) throw new Error('deadline exceeded');
+        return 100;
+      };
+
+      const request = await erasure.run(createRequest(), handlers);
+      expect(request.steps[1]).toMatchObject({ status: 'failed', deleted: 400 });
+
+      await erasure.run(request, handlers);
+      expect(request.steps[1]).toMatchObject({ status: 'completed', deleted: 500 });
+    });
+  });
+
+  describe('Receipts', () => {
+    test('should verify untouched receipts regardless of key order', async () => {
+      const { receipt } = await erasure.run(createRequest(), handlers);
+      const reordered = Object.fromEntries(Object.entries(receipt).reverse());
+
+      expect(erasure.verifyReceipt(reordered)).toBe(true);
+      expect(erasure.verifyReceipt({ ...receipt, totalDeleted: 0 })).toBe(false);
+      expect(new AccountErasure({ signingKey: 'other-key' }).verifyReceipt(receipt)).toBe(false);
+      expect(erasure.verifyReceipt({ ...receipt, signature: 'abc' })).toBe(false);
+    });
+
+    test('should be unavailable without a configured signing key', () => {
+      const configured = process.env.DELETION_RECEIPT_KEY;
+      delete process.env.DELETION_RECEIPT_KEY;
+
+      try {
+        const unconfigured = new AccountErasure({ subcollections: [] });
+        expect(unconfigured.isConfigured()).toBe(false);
+        expect(erasure.isConfigured()).toBe(true);
+        expect(() => unconfigured.sign({ requestId: 'req-1' })).toThrow('DELETION_RECEIPT_KEY must be set');
+      } finally {
+        if (configured !== undefined) {
+          process.env.DELETION_RECEIPT_KEY = configured;
+        }
+      }
+    });
+  });
+});
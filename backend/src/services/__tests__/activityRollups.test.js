@@ -0,0 +1,195 @@
+const ActivityRollups = require('../activityRollups');
+
+describe('ActivityRollups', () => {
+  let rollups;
+
+  beforeEach(() => {
+    rollups = new ActivityRollups();
+  });
+
+  describe('Building Rollups', () => {
+    test('should bucket todo completions by local date', () => {
+      const todos = [
+        { completed: true, completedAt: '2026-03-02T03:00:00.000Z' }, // 22:00 on 03-01 in New York
+        { completed: true, completedAt: '2026-03-02T15:00:00.000Z' },
+        { completed: false, completedAt: '2026-03-02T16:00:00.000Z' }
+      ];
+
+      const utc = rollups.buildRollups('2026-03-01', '2026-03-02', 'UTC', { todos });
+      const newYork = rollups.buildRollups('2026-03-01', '2026-03-02', 'America/New_York', { todos });
+
+      expect(utc.map(rollup => rollup.completions.todos)).toEqual([0, 2]);
+      expect(newYork.map(rollup => rollup.completions.todos)).toEqual([1, 1]);
+    });
+
+    test('should count routine steps and successful runs on the run date', () => {
+      const runs = [
+        {
+          date: '2026-03-02',
+          status: 'completed',
+          tasks: [{ taskId: 'a', status: 'completed' }, { taskId: 'b', status: 'completed' }]
+        },
+        {
+          date: '2026-03-02',
+          status: 'partial',
+          minimumTaskIds: ['c'],
+          tasks: [{ taskId: 'c', status: 'skipped' }, { taskId: 'd', status: 'completed' }]
+        }
+      ];
+
+      const [rollup] = rollups.buildRollups('2026-03-02', '2026-03-02', 'UTC', { runs });
+      expect(rollup.completions).toEqual({ todos: 0, routineSteps: 3, routines: 1 });
+    });
+
+    test('should add focus minutes of finished sessions', () => {
+      const focusSessions = [
+        { startTime: new Date('2026-03-02T09:00:00Z'), endTime: new Date('2026-03-02T09:30:00Z'), focusSeconds: 1500 },
+        { startTime: new Date('2026-03-02T10:00:00Z'), endTime: null, focusSeconds: 600 }
+      ];
+
+      const [rollup] = rollups.buildRollups('2026-03-02', '2026-03-02', 'UTC', { focusSessions });
+      expect(rollup).toMatchObject({ focusMinutes: 25, focusSessions: 1 });
+    });
+  });
+
+  describe('Skips, Moods and Estimates', () => {
+    test('should record skip reasons, per-routine counts and estimated vs actual minutes', () => {
+      const run = {
+        date: '2026-03-02',
+        routineId: 'morning',
+        status: 'partial',
+        tasks: [
+          { taskId: 'a', status: 'completed', estimatedDuration: 10, actualDuration: 15, durationMeasured: true },
+          // Completed without a reported time: the estimate stands in, so no sample
+          { taskId: 'd', status: 'completed', estimatedDuration: 5, actualDuration: 5, durationMeasured: false },
+          { taskId: 'b', status: 'skipped', skipReason: 'Forgot' },
+          { taskId: 'c', status: 'skipped', skipReason: 'Ran out of time.' }
+        ]
+      };
+
+      const [rollup] = rollups.buildRollups('2026-03-02', '2026-03-02', 'UTC', { runs: [run] });
+
+      expect(rollup.skips).toEqual({ routineSteps: 2, byReason: { 'Forgot': 1, 'Ran out of time_': 1 } });
+      expect(rollup.byRoutine).toEqual({ morning: { completed: 2, skipped: 2 } });
+      expect(rollup.minutes).toEqual({ estimated: 10, actual: 15, samples: 1 });
+    });
+
+    test('should sample journal moods on the local day they were written', () => {
+      const journalEntries = [
+        { mood: 'Happy', createdAt: new Date('2026-03-02T10:00:00Z') },
+        { mood: 'happy', createdAt: new Date('2026-03-02T12:00:00Z') },
+        { mood: 'Tired', createdAt: new Date('2026-03-02T23:30:00Z') } // 03-03 in Tokyo
+      ];
+
+      const [rollup] = rollups.buildRollups('2026-03-02', '2026-03-02', 'Asia/Tokyo', { journalEntries });
+      expect(rollup.moods).toEqual({ count: 2, byMood: { happy: 2 } });
+    });
+  });
+
+  describe('Incremental Updates', () => {
+    test('should produce the counter changes between two versions of a record', () => {
+      const before = { date: '2026-03-02', routineId: 'r1', status: 'in_progress', tasks: [{ taskId: 'a', status: 'pending' }] };
+      const after = { ...before, status: 'completed', tasks: [{ taskId: 'a', status: 'completed' }] };
+
+      expect(rollups.getDelta(rollups.getRunContribution(before), rollups.getRunContribution(after))).toEqual([{
+        date: '2026-03-02',
+        counts: { 'completions.routineSteps': 1, 'byRoutine.r1.completed': 1, 'completions.routines': 1 }
+      }]);
+      expect(rollups.getDelta(rollups.getRunContribution(after), rollups.getRunContribution(after))).toEqual([]);
+    });
+
+    test('should move a todo completion between days', () => {
+      const todo = { completed: true, completedAt: '2026-03-02T10:00:00Z' };
+      const delta = rollups.getDelta(
+        rollups.getTodoContribution(todo, 'UTC'),
+        rollups.getTodoContribution({ ...todo, completedAt: '2026-03-03T10:00:00Z' }, 'UTC')
+      );
+
+      expect(delta).toEqual([
+        { date: '2026-03-02', counts: { 'completions.todos': -1 } },
+        { date: '2026-03-03', counts: { 'completions.todos': 1 } }
+      ]);
+    });
+
+    test('should match a rebuild when deltas are applied in sequence', () => {
+      const first = { completed: true, completedAt: '2026-03-02T10:00:00Z', duration: 20, actualDuration: 30 };
+      const second = { completed: true, completedAt: '2026-03-02T11:00:00Z' };
+      const incremental = rollups.createRollup('2026-03-02');
+
+      [
+        rollups.getDelta(null, rollups.getTodoContribution(first, 'UTC')),
+        rollups.getDelta(null, rollups.getTodoContribution(second, 'UTC')),
+        rollups.getDelta(rollups.getTodoContribution(second, 'UTC'), null)
+      ].flat().forEach(delta => rollups.applyCounts(incremental, delta.counts));
+
+      const [rebuilt] = rollups.buildRollups('2026-03-02', '2026-03-02', 'UTC', { todos: [first] });
+      expect(incremental).toEqual(rebuilt);
+    });
+
+    test('should build nested increment updates', () => {
+      const update = rollups.toIncrements({ 'completions.todos': 1, 'skips.byReason.Forgot': -1 }, value => ({ increment: value }));
+      expect(update).toEqual({
+        completions: { todos: { increment: 1 } },
+        skips: { byReason: { Forgot: { increment: -1 } } }
+      });
+    });
+  });
+
+  describe('Totals and Trends', () => {
+    test('should sum rollups including map counters', () => {
+      const days = rollups.buildRollups('2026-03-01', '2026-03-02', 'UTC', {
+        runs: [
+          { date: '2026-03-01', routineId: 'r1', tasks: [{ taskId: 'a', status: 'skipped', skipReason: 'Forgot' }] },
+          { date: '2026-03-02', routineId: 'r1', tasks: [{ taskId: 'a', status: 'skipped', skipReason: 'Forgot' }] }
+        ]
+      });
+
+      const totals = rollups.sumRollups([...days, { ...days[0], built: true, updatedAt: { toDate: () => new Date() } }]);
+      expect(totals.skips).toEqual({ routineSteps: 3, byReason: { Forgot: 3 } });
+      expect(totals.byRoutine.r1.skipped).toBe(3);
+      expect(totals.date).toBeUndefined();
+    });
+
+    test('should detect an improving weekly trend', () => {
+      const days = rollups.buildRollups('2026-02-02', '2026-03-01', 'UTC', {
+        runs: ['2026-02-03', '2026-02-18', '2026-02-20', '2026-02-25', '2026-02-26', '2026-02-27'].map(date => ({
+          date,
+          tasks: [{ taskId: 'a', status: 'completed' }]
+        }))
+      });
+
+      expect(rollups.getTrend(days, '2026-03-01')).toEqual({ trend: 'improving', weeklyData: [1, 0, 2, 3] });
+    });
+
+    test('should validate date ranges', () => {
+      expect(rollups.resolveRange('2026-01-01', '2026-03-01')).toEqual({ from: '2026-01-01', to: '2026-03-01' });
+      expect(() => rollups.resolveRange('2026-03-01', '2026-01-01')).toThrow('to must not be before from');
+      expect(() => rollups.resolveRange('2024-01-01', '2026-01-01')).toThrow('cannot exceed 366 days');
+    });
+  });
+
+  describe('Month Views', () => {
+    test('should resolve the requested month', () => {
+      expect(rollups.resolveMonth({}, '2026-02-10')).toMatchObject({ from: '2026-02-01', to: '2026-02-28', daysInMonth: 28 });
+      expect(rollups.resolveMonth({ month: '2025-12' }, '2026-02-10')).toMatchObject({ year: 2025, month: 12, to: '2025-12-31' });
+      expect(rollups.resolveMonth({ year: '2024', month: '2' }, '2026-02-10').daysInMonth).toBe(29);
+      expect(() => rollups.resolveMonth({ month: '13' }, '2026-02-10')).toThrow('Month must be');
+      expect(() => rollups.resolveMonth({ month: '2020-01' }, '2026-02-10')).toThrow('last 24 months');
+    });
+
+    test('should summarize daily progress', () => {
+      const range = rollups.resolveMonth({ month: '2026-02' }, '2026-02-10');
+      const daily = rollups.buildRollups(range.from, range.to, 'UTC', {
+        todos: [{ completed: true, completedAt: '2026-02-03T12:00:00Z' }],
+        runs: [{ date: '2026-02-03', status: 'completed', tasks: [{ taskId: 'a', status: 'completed' }] }],
+        focusSessions: [{ startTime: '2026-02-04T08:00:00Z', endTime: '2026-02-04T08:25:00Z', focusSeconds: 1500 }]
+      });
+
+      const monthly = rollups.summarizeMonth(daily, range);
+
+      expect(monthly.dailyProgress).toHaveLength(28);
+      expect(monthly.dailyProgress[2]).toMatchObject({ date: '2026-02-03', day: 3, todos: 1, routines: 1, routineSteps: 1, total: 2 });
+      expect(monthly.summary).toMatchObject({ totalCompleted: 2, focusMinutes: 25, activeDays: 2, averagePerDay: 0.1 });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const DataExport = require('../dataExport');
+
+describe('DataExport', () => {
+  let exporter;
+  const timestamp = iso => ({ toDate: () => new Date(iso) });
+
+  beforeEach(() => {
+    exporter = new DataExport();
+  });
+
+  describe('Formats', () => {
+    test('should default to every format and reject unknown ones', () => {
+      expect(exporter.normalizeFormats()).toEqual(['json', 'csv', 'ics']);
+      expect(exporter.normalizeFormats('csv, JSON')).toEqual(['csv', 'json']);
+      expect(() => exporter.normalizeFormats('xlsx')).toThrow('Formats must be any of');
+    });
+
+    test('should convert timestamps to ISO strings', () => {
+      expect(exporter.serialize({ createdAt: timestamp('2026-03-02T10:00:00Z'), tags: [new Date('2026-03-03T00:00:00Z')] }))
+        .toEqual({ createdAt: '2026-03-02T10:00:00.000Z', tags: ['2026-03-03T00:00:00.000Z'] });
+    });
+  });
+
+  describe('CSV', () => {
+    test('should flatten nested fields and quote special characters', () => {
+      const csv = exporter.toCsv([
+        { title: 'Call "Mom", later', recurrence: { frequency: 'weekly' }, subtasks: [{ title: 'a' }] },
+        { title: 'Line\nbreak', extra: 1 }
+      ]);
+
+      expect(csv.split('\r\n')).toEqual([
+        'title,recurrence.frequency,subtasks,extra',
+        '"Call ""Mom"", later",weekly,"[{""title"":""a""}]",',
+        '"Line\nbreak",,,1',
+        ''
+      ]);
+    });
+
+    test('should neutralize spreadsheet formulas', () => {
+      expect(exporter.toCsv([{ title: '=HYPERLINK("x")' }])).toContain(`"'=HYPERLINK(""x"")"`);
+    });
+  });
+
+  describe('iCalendar', () => {
+    const routines = [
+      { id: 'r1', title: 'Morning, routine', scheduleType: 'weekdays', startTime: '07:30', scheduleDate: '2026-03-02', tasks: [{ title: 'Stretch', estimatedDuration: 10 }] },
+      { id: 'r2', title: 'Review', scheduleType: 'weekly', scheduleDays: ['sunday'], scheduleDate: '2026-03-01' },
+      { id: 'r3', title: 'Template', isTemplate: true }
+    ];
+
+    test('should write a recurring event per routine', () => {
+      const ics = exporter.routinesToIcs(routines, 'Europe/Berlin', new Date('2026-03-10T12:00:00Z'));
+      const lines = ics.split('\r\n');
+
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toContain('DTSTART;TZID=Europe/Berlin:20260302T073000');
+      expect(lines).toContain('DURATION:PT10M');
+      expect(lines).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+      expect(lines).toContain('SUMMARY:Morning\\, routine');
+      expect(lines).toContain('DTSTART;VALUE=DATE:20260301');
+      expect(lines).toContain('RRULE:FREQ=WEEKLY;BYDAY=SU');
+      expect(ics).not.toContain('Template');
+    });
+
+    test('should fold long lines', () => {
+      const ics = exporter.routinesToIcs([{ id: 'r1', title: 'x'.repeat(200), scheduleType: 'once', scheduleDate: '2026-03-02' }]);
+      const summary = ics.split('\r\n').filter(line => line.startsWith('SUMMARY') || line.startsWith(' '));
+
+      expect(summary.length).toBeGreaterThan(2);
+      expect(summary.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(ics).not.toContain('RRULE');
+    });
+  });
+
+  describe('Archive', () => {
+    test('should list every dataset in the manifest and drop secrets', () => {
+      const { buffer, manifest } = exporter.buildArchive({
+        profile: { email: 'a@example.com', fcmToken: 'secret-token', calendarTokens: { refreshToken: 'secret' } },
+        todos: [{ id: 't1', title: 'Taxes' }]
+      }, { formats: ['json', 'csv'] });
+
+      expect(manifest.datasets.todos).toEqual({ records: 1, files: ['json/todos.json', 'csv/todos.csv'] });
+      expect(manifest.datasets.aiRequests.records).toBe(0);
+      expect(exporter.stripSecrets({ email: 'a@example.com', fcmToken: 'x', calendarTokens: {} })).toEqual({ email: 'a@example.com' });
+      expect(buffer.readUInt32LE(0)).toBe(0x04034b50);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const EstimationModel = require('../estimationModel');
+
+describe('EstimationModel', () => {
+  let estimation;
+  const sample = (title, estimated, actual, completedAt = '2026-03-02T09:00:00Z', category = 'routine') =>
+    estimation.toSample({ title, category, estimated, actual, completedAt });
+
+  beforeEach(() => {
+    estimation = new EstimationModel();
+  });
+
+  describe('Samples', () => {
+    test('should only learn from routine tasks with a measured duration', () => {
+      const completed = { status: 'completed', title: 'Shower', estimatedDuration: 10, actualDuration: 16, completedAt: '2026-03-02T09:00:00Z' };
+
+      expect(estimation.getRunTaskSample({ ...completed, durationMeasured: true }, { templateCategory: 'morning' }))
+        .toMatchObject({ taskKey: 'shower', category: 'morning', estimated: 10, actual: 16 });
+      expect(estimation.getRunTaskSample({ ...completed, durationMeasured: false })).toBeNull();
+      expect(estimation.getRunTaskSample({ ...completed, elapsedMs: 960000 })).not.toBeNull();
+      expect(estimation.getRunTaskSample({ ...completed, status: 'skipped', durationMeasured: true })).toBeNull();
+    });
+
+    test('should need both an estimate and an actual time for todos', () => {
+      expect(estimation.getTodoSample({ completed: true, title: 'Taxes', duration: 60, actualDuration: 90 }))
+        .toMatchObject({ category: 'todo', estimated: 60, actual: 90 });
+      expect(estimation.getTodoSample({ completed: true, title: 'Taxes', duration: 60 })).toBeNull();
+      expect(estimation.getTodoSample({ completed: false, duration: 60, actualDuration: 90 })).toBeNull();
+    });
+
+    test('should learn from original estimates and focus session time', () => {
+      const adjusted = { estimateAdjustment: { originalDuration: 10, ratio: 1.6 } };
+
+      expect(estimation.getRunTaskSample({ status: 'completed', title: 'Shower', estimatedDuration: 16, actualDuration: 16, durationMeasured: true, ...adjusted }))
+        .toMatchObject({ estimated: 10, actual: 16 });
+      expect(estimation.getTodoSample({ completed: true, title: 'Taxes', duration: 16, focusedMinutes: 20, actualDuration: 5, ...adjusted }))
+        .toMatchObject({ estimated: 10, actual: 20 });
+    });
+  });
+
+  describe('Accuracy Summary', () => {
+    test('should report estimates that run short', () => {
+      const model = estimation.buildModel([
+        sample('Dishes', 10, 16), sample('Dishes', 10, 16), sample('Laundry', 20, 32),
+        sample('Email', 15, 24), sample('Email', 15, 24)
+      ]);
+      const summary = estimation.summarize(model);
+
+      expect(summary.overall).toEqual({ ratio: 1.6, samples: 5, direction: 'under' });
+      expect(summary.message).toBe('Your estimates are typically 1.6x too short');
+      expect(summary.reliable).toBe(true);
+      expect(summary.tasks[0]).toMatchObject({ task: 'dishes', samples: 2 });
+    });
+
+    test('should average ratios so over- and underestimates cancel out', () => {
+      const model = estimation.buildModel([sample('A', 10, 20), sample('B', 20, 10)]);
+
+      expect(estimation.summarize(model).overall.direction).toBe('accurate');
+      expect(estimation.getMessage(0.5)).toBe('Your estimates are typically 2x too long');
+      expect(estimation.summarize(estimation.createModel()).overall.direction).toBe('unknown');
+    });
+
+    test('should bucket samples by local time of day', () => {
+      const model = estimation.buildModel([
+        sample('A', 10, 10, '2026-03-02T13:00:00Z'), // 08:00 in New York
+        sample('B', 10, 20, '2026-03-03T01:00:00Z') // 20:00 in New York
+      ], 'America/New_York');
+
+      expect(Object.keys(model.byTimeOfDay).sort()).toEqual(['evening', 'morning']);
+    });
+  });
+
+  describe('Adjusting Estimates', () => {
+    test('should leave estimates alone until there are enough samples', () => {
+      const model = estimation.buildModel([sample('Dishes', 10, 20)]);
+
+      expect(estimation.adjustEstimate(model, 10, { title: 'Dishes' })).toMatchObject({ estimatedDuration: 10, adjusted: false });
+    });
+
+    test('should scale by the overall ratio and lean toward a familiar task', () => {
+      const model = estimation.buildModel([
+        ...Array.from({ length: 6 }, () => sample('Email', 10, 15, undefined, 'work')),
+        ...Array.from({ length: 6 }, () => sample('Dishes', 10, 30, undefined, 'chores'))
+      ]);
+
+      const unknown = estimation.adjustEstimate(model, 20, { title: 'Something new' });
+      const dishes = estimation.adjustEstimate(model, 20, { title: 'Dishes', category: 'chores' });
+
+      expect(unknown).toMatchObject({ originalDuration: 20, adjusted: true });
+      expect(dishes.estimatedDuration).toBeGreaterThan(unknown.estimatedDuration);
+      expect(dishes.estimatedDuration).toBeLessThanOrEqual(60);
+    });
+
+    test('should clamp extreme ratios', () => {
+      const model = estimation.buildModel(Array.from({ length: 10 }, () => sample('Call mom', 1, 60)));
+
+      expect(estimation.predictRatio(model, { title: 'Call mom' }).ratio).toBe(4);
+    });
+
+    test('should keep only the most recently seen task buckets', () => {
+      estimation = new EstimationModel({ maxTasks: 2 });
+      const model = estimation.buildModel([
+        sample('A', 10, 10, '2026-03-01T09:00:00Z'),
+        sample('B', 10, 10, '2026-03-02T09:00:00Z'),
+        sample('C', 10, 10, '2026-03-03T09:00:00Z')
+      ]);
+
+      expect(Object.keys(model.byTask).sort()).toEqual(['b', 'c']);
+      expect(model.overall.samples).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const FocusSessionTimer = require('../focusSessionTimer');
+
+describe('FocusSessionTimer', () => {
+  let timer;
+  const start = new Date('2026-03-02T09:00:00Z');
+  const at = minutes => new Date(start.getTime() + minutes * 60 * 1000);
+
+  beforeEach(() => {
+    timer = new FocusSessionTimer();
+  });
+
+  describe('Session Creation', () => {
+    test('should create a plain timer session', () => {
+      const session = timer.createSession({ duration: 30, todoId: 'todo1' }, start);
+
+      expect(session.status).toBe('running');
+      expect(session.mode).toBe('timer');
+      expect(session.duration).toBe(30);
+      expect(session.todoId).toBe('todo1');
+    });
+
+    test('should fill Pomodoro defaults', () => {
+      const session = timer.createSession({ pomodoro: { workMinutes: 50, totalCycles: 2 } }, start);
+
+      expect(session.mode).toBe('pomodoro');
+      expect(session.pomodoro).toEqual({
+        workMinutes: 50,
+        shortBreakMinutes: 5,
+        longBreakMinutes: 15,
+        cyclesBeforeLongBreak: 4,
+        totalCycles: 2
+      });
+    });
+
+    test('should reject invalid settings', () => {
+      expect(() => timer.createSession({ duration: 0 }, start)).toThrow('Session duration');
+      expect(() => timer.createSession({ pomodoro: { totalCycles: 0 } }, start)).toThrow('Total cycles');
+    });
+  });
+
+  describe('Elapsed Time', () => {
+    test('should exclude paused time', () => {
+      let session = timer.createSession({ duration: 30 }, start);
+      session = timer.pause(session, at(10));
+
+      expect(timer.getState(session, at(20)).elapsedSeconds).toBe(600);
+
+      session = timer.resume(session, at(20));
+      const state = timer.getState(session, at(25));
+
+      expect(state.elapsedSeconds).toBe(900);
+      expect(state.remainingSeconds).toBe(900);
+      expect(session.pauses).toHaveLength(1);
+    });
+
+    test('should survive serialization of timestamps', () => {
+      const session = JSON.parse(JSON.stringify(timer.createSession({ duration: 30 }, start)));
+      expect(timer.getState(session, at(5)).elapsedSeconds).toBe(300);
+    });
+
+    test('should reject invalid transitions', () => {
+      const session = timer.createSession({ duration: 30 }, start);
+      expect(() => timer.resume(session, at(1))).toThrow('Cannot resume a session that is running');
+    });
+  });
+
+  describe('Pomodoro Cycles', () => {
+    let session;
+
+    beforeEach(() => {
+      session = timer.createSession({
+        pomodoro: { workMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, cyclesBeforeLongBreak: 2, totalCycles: 3 }
+      }, start);
+    });
+
+    test('should move between work and break phases', () => {
+      expect(timer.getState(session, at(10))).toMatchObject({ phase: 'work', cycle: 1 });
+      expect(timer.getState(session, at(27))).toMatchObject({ phase: 'short_break', cycle: 1, phaseRemainingSeconds: 180 });
+      expect(timer.getState(session, at(60))).toMatchObject({ phase: 'long_break', cycle: 2, completedCycles: 2 });
+      expect(timer.getState(session, at(80))).toMatchObject({ phase: 'work', cycle: 3 });
+    });
+
+    test('should only count work phases as focus time', () => {
+      expect(timer.getState(session, at(40)).focusSeconds).toBe(35 * 60);
+    });
+
+    test('should finish after the last work block', () => {
+      const state = timer.getState(session, at(100));
+      expect(state.plannedSeconds).toBe(95 * 60);
+      expect(state.phase).toBe('done');
+      expect(state.isOvertime).toBe(true);
+    });
+
+    test('should extend the current phase', () => {
+      const extended = timer.extend(session, 10, at(20));
+      expect(timer.getState(extended, at(30))).toMatchObject({ phase: 'work', cycle: 1 });
+      expect(timer.getState(extended, at(36))).toMatchObject({ phase: 'short_break' });
+    });
+  });
+
+  describe('Finishing', () => {
+    test('should close an open pause and record totals', () => {
+      let session = timer.createSession({ duration: 30 }, start);
+      session = timer.pause(session, at(20));
+      const finished = timer.finish(session, at(45));
+
+      expect(finished.status).toBe('completed');
+      expect(finished.elapsedSeconds).toBe(1200);
+      expect(finished.focusSeconds).toBe(1200);
+      expect(finished.pauses).toHaveLength(1);
+    });
+
+    test('should mark abandoned sessions as cancelled', () => {
+      const session = timer.createSession({ duration: 30 }, start);
+      const finished = timer.finish(session, at(5), { completed: false });
+
+      expect(finished.status).toBe('cancelled');
+      expect(finished.completed).toBe(false);
+      expect(() => timer.finish(finished, at(6))).toThrow('Cannot finish a session that is cancelled');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const GoogleCalendar = require('../googleCalendar');
+
+describe('GoogleCalendar', () => {
+  let calendar;
+  let requests;
+  let statuses;
+
+  beforeEach(() => {
+    requests = [];
+    statuses = [];
+    calendar = new GoogleCalendar({
+      request: async options => {
+        requests.push(options);
+        return { status: statuses.shift() || 200, body: '' };
+      }
+    });
+  });
+
+  describe('Revoking', () => {
+    test('should revoke the refresh token at Google', async () => {
+      expect(await calendar.revokeAccess({ accessToken: 'access', refreshToken: 'refresh' })).toBe(true);
+
+      expect(requests).toEqual([{
+        method: 'POST',
+        url: 'https://oauth2.googleapis.com/revoke',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'token=refresh'
+      }]);
+    });
+
+    test('should accept tokens that are already revoked and fail on other errors', async () => {
+      statuses = [400, 503];
+
+      await expect(calendar.revokeAccess({ accessToken: 'access' })).resolves.toBe(true);
+      await expect(calendar.revokeAccess({ accessToken: 'access' })).rejects.toThrow('failed with status 503');
+      await expect(calendar.revokeAccess(null)).resolves.toBe(false);
+      expect(requests).toHaveLength(2);
+    });
+  });
+
+  describe('Deleting Events', () => {
+    test('should delete each event and count ones already gone', async () => {
+      statuses = [204, 410, 404];
+
+      const deleted = await calendar.deleteEvents(['a', 'b', 'c d'], { accessToken: 'access' }, 'work@example.com');
+
+      expect(deleted).toBe(3);
+      expect(requests.map(request => request.url)).toEqual([
+        'https://www.googleapis.com/calendar/v3/calendars/work%40example.com/events/a',
+        'https://www.googleapis.com/calendar/v3/calendars/work%40example.com/events/b',
+        'https://www.googleapis.com/calendar/v3/calendars/work%40example.com/events/c%20d'
+      ]);
+      expect(requests[0]).toMatchObject({ method: 'DELETE', headers: { Authorization: 'Bearer access' } });
+    });
+
+    test('should stop when Google rejects a delete', async () => {
+      statuses = [204, 401];
+
+      await expect(calendar.deleteEvents(['a', 'b', 'c'], { accessToken: 'expired' }))
+        .rejects.toThrow('Deleting calendar event b failed with status 401');
+      expect(requests).toHaveLength(2);
+      await expect(calendar.deleteEvents(['a'], {})).rejects.toThrow('access token is required');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const GuestMigration = require('../guestMigration');
+
+describe('GuestMigration', () => {
+  let migration;
+  const guestId = 'guest_abc123';
+
+  beforeEach(() => {
+    migration = new GuestMigration();
+  });
+
+  test('should only accept guest and offline identities', () => {
+    expect(migration.isGuestId('guest_abc123')).toBe(true);
+    expect(migration.isGuestId('offline_1')).toBe(true);
+    expect(migration.isGuestId('guest_')).toBe(false);
+    expect(migration.isGuestId('firebase-uid')).toBe(false);
+    expect(migration.isGuestId('guest_a/../users/x')).toBe(false);
+  });
+
+  describe('IDs', () => {
+    const suffix = () => migration.getCollisionSuffix(guestId);
+
+    test('should keep free IDs and rename colliding ones', () => {
+      const candidates = migration.getCandidateIds('todos', 't1', {}, {}, guestId);
+      expect(candidates).toEqual(['t1', `t1-${suffix()}`]);
+
+      expect(migration.chooseTargetId(candidates, new Map(), guestId, 't1'))
+        .toEqual({ id: 't1', alreadyMigrated: false, renamed: false });
+      expect(migration.chooseTargetId(candidates, new Map([['t1', { title: 'Account todo' }]]), guestId, 't1'))
+        .toEqual({ id: `t1-${suffix()}`, alreadyMigrated: false, renamed: true });
+    });
+
+    test('should recognise copies from an earlier migration', () => {
+      const candidates = migration.getCandidateIds('todos', 't1', {}, {}, guestId);
+      const existing = new Map([
+        ['t1', { title: 'Account todo' }],
+        [`t1-${suffix()}`, { title: 'Guest todo', migratedFrom: { guestId, id: 't1' } }]
+      ]);
+
+      expect(migration.chooseTargetId(candidates, existing, guestId, 't1'))
+        .toEqual({ id: `t1-${suffix()}`, alreadyMigrated: true, renamed: true });
+    });
+
+    test('should derive run IDs from the renamed routine', () => {
+      const idMaps = { routines: new Map([['r1', `r1-${suffix()}`]]) };
+      const run = { id: 'r1_2026-03-02', routineId: 'r1', date: '2026-03-02' };
+
+      expect(migration.getCandidateIds('routineRuns', run.id, run, idMaps, guestId)[0]).toBe(`r1-${suffix()}_2026-03-02`);
+    });
+
+    test('should key history rows by the renamed run', () => {
+      const idMaps = { routineRuns: new Map([['r1_2026-03-02', `r1-${suffix()}_2026-03-02`]]) };
+      const row = { runId: 'r1_2026-03-02', taskId: 'a' };
+
+      expect(migration.getCandidateIds('routineHistory', 'r1_2026-03-02_a', row, idMaps, guestId)[0])
+        .toBe(`r1-${suffix()}_2026-03-02_a`);
+      expect(migration.getCandidateIds('routineHistory', 'legacy', row, idMaps, guestId)[0]).toBe('legacy');
+    });
+  });
+
+  describe('References', () => {
+    test('should remap references and tag the copy', () => {
+      const idMaps = {
+        routines: new Map([['r1', 'r1-x']]),
+        routineRuns: new Map([['r1_2026-03-02', 'r1-x_2026-03-02']]),
+        todos: new Map([['t1', 't1-x']])
+      };
+      const migratedAt = new Date('2026-03-05T10:00:00Z');
+
+      expect(migration.remapDocument('routineHistory', 'h1', {
+        routineId: 'r1', runId: 'r1_2026-03-02', taskId: 'a'
+      }, { targetId: 'h1', idMaps, guestId, migratedAt })).toEqual({
+        routineId: 'r1-x',
+        runId: 'r1-x_2026-03-02',
+        taskId: 'a',
+        migratedFrom: { guestId, id: 'h1', migratedAt: '2026-03-05T10:00:00.000Z' }
+      });
+
+      expect(migration.remapDocument('todos', 't2', {
+        id: 't2', seriesId: 't1', previousOccurrenceId: 't1', nextOccurrenceId: 't3'
+      }, { targetId: 't2-x', idMaps, guestId })).toMatchObject({
+        id: 't2-x', seriesId: 't1-x', previousOccurrenceId: 't1-x', nextOccurrenceId: 't3'
+      });
+      expect(migration.remapDocument('routines', 'r1', { id: 'r1', title: 'Morning' }, { targetId: 'r1-x', idMaps, guestId }).id).toBe('r1-x');
+    });
+
+    test('should hand focus sessions to the account', () => {
+      const idMaps = { routines: new Map([['r1', 'r1-x']]), todos: new Map() };
+      const migratedAt = new Date('2026-03-05T10:00:00Z');
+
+      expect(migration.remapFocusSession({ id: 's1', userId: guestId, todoId: 't1', routineId: 'r1', taskId: 'a' }, {
+        userId: 'user-1', idMaps, guestId, migratedAt
+      })).toEqual({
+        userId: 'user-1',
+        todoId: 't1',
+        routineId: 'r1-x',
+        migratedFrom: { guestId, id: 's1', migratedAt: '2026-03-05T10:00:00.000Z' }
+      });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const GuestSandbox = require('../guestSandbox');
+
+describe('GuestSandbox', () => {
+  let sandbox;
+  const now = new Date('2026-03-31T12:00:00Z');
+
+  beforeEach(() => {
+    sandbox = new GuestSandbox({ inactivityDays: 30, quotas: { todos: 2, routines: 1 } });
+  });
+
+  test('should expire guests after the inactivity period', () => {
+    expect(sandbox.isExpired({ lastActiveAt: '2026-03-01T12:00:00Z' }, now)).toBe(true);
+    expect(sandbox.isExpired({ lastActiveAt: '2026-03-02T12:00:00Z' }, now)).toBe(false);
+    expect(sandbox.isExpired({}, now)).toBe(false);
+    expect(sandbox.getExpiryCutoff(now).toISOString()).toBe('2026-03-01T12:00:00.000Z');
+  });
+
+  test('should record activity at most once per interval', () => {
+    expect(sandbox.shouldTouch(null, now)).toBe(true);
+    expect(sandbox.shouldTouch({ lastActiveAt: '2026-03-31T11:30:00Z' }, now)).toBe(false);
+    expect(sandbox.shouldTouch({ lastActiveAt: '2026-03-31T11:00:00Z' }, now)).toBe(true);
+  });
+
+  test('should enforce quotas per collection', () => {
+    expect(() => sandbox.checkQuota('todos', 1)).not.toThrow();
+    expect(() => sandbox.checkQuota('todos', 2)).toThrow('Guests can keep up to 2 to-do items');
+    expect(() => sandbox.checkQuota('journal', 500)).not.toThrow();
+  });
+
+  test('should describe the guest session for responses', () => {
+    expect(sandbox.describe({ lastActiveAt: '2026-03-31T12:00:00Z' }, now)).toEqual({
+      expiresAt: '2026-04-30T12:00:00.000Z',
+      inactivityDays: 30,
+      quotas: { todos: 2, routines: 1 }
+    });
+  });
+});
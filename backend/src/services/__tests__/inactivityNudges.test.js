@@ -0,0 +1,68 @@
+const InactivityNudges = require('../inactivityNudges');
+
+describe('InactivityNudges', () => {
+  let nudges;
+  const settings = {
+    enabled: true,
+    duration: 120,
+    workHoursOnly: true,
+    workHours: { start: '09:00', end: '17:00' }
+  };
+
+  beforeEach(() => {
+    nudges = new InactivityNudges({ maxNudges: 3 });
+  });
+
+  describe('Timing', () => {
+    test('should nudge after the idle window and back off when ignored', () => {
+      const now = new Date('2026-03-31T09:30:00Z');
+      const lastActiveAt = '2026-03-31T09:00:00.000Z';
+      const off = { ...settings, workHoursOnly: false };
+
+      expect(nudges.getNextNudgeAt({ lastActiveAt, nudgeCount: 0 }, off, 'UTC', now).toISOString())
+        .toBe('2026-03-31T11:00:00.000Z');
+      expect(nudges.getNextNudgeAt({ lastActiveAt, nudgeCount: 1, lastNudgeAt: '2026-03-31T11:00:00.000Z' }, off, 'UTC', now).toISOString())
+        .toBe('2026-03-31T15:00:00.000Z');
+      expect(nudges.getNextNudgeAt({ lastActiveAt, nudgeCount: 2, lastNudgeAt: '2026-03-31T15:00:00.000Z' }, off, 'UTC', now).toISOString())
+        .toBe('2026-03-31T23:00:00.000Z');
+      expect(nudges.getNextNudgeAt({ lastActiveAt, nudgeCount: 3, lastNudgeAt: '2026-03-31T23:00:00.000Z' }, off, 'UTC', now))
+        .toBeNull();
+    });
+
+    test('should only count idle time during work hours', () => {
+      const now = new Date('2026-03-31T16:00:00Z');
+
+      // 16:30 + 2h is after work; the nudge waits for 2h into the next work day
+      expect(nudges.getNextNudgeAt({ lastActiveAt: '2026-03-31T16:30:00Z' }, settings, 'UTC', now).toISOString())
+        .toBe('2026-04-01T11:00:00.000Z');
+      // Work hours are in the user's time zone: 08:00 + 2h in Berlin
+      expect(nudges.getNextNudgeAt({ lastActiveAt: '2026-03-31T06:00:00Z' }, settings, 'Europe/Berlin', new Date('2026-03-31T07:00:00Z')).toISOString())
+        .toBe('2026-03-31T08:00:00.000Z');
+      expect(nudges.getNextNudgeAt({ lastActiveAt: '2026-03-31T06:00:00Z' }, { ...settings, enabled: false }, 'UTC', now))
+        .toBeNull();
+      expect(nudges.getNextNudgeAt({}, settings, 'UTC', now)).toBeNull();
+    });
+  });
+
+  describe('Jobs', () => {
+    test('should build a scheduler job that expires with the work day', () => {
+      const job = nudges.buildJob({ lastActiveAt: '2026-03-31T12:00:00Z', nudgeCount: 0 }, settings, 'UTC', new Date('2026-03-31T12:00:00Z'));
+
+      expect(job).toMatchObject({
+        id: `nudge_${Date.parse('2026-03-31T12:00:00Z')}_0`,
+        kind: 'inactivity_nudge',
+        fireAt: '2026-03-31T14:00:00.000Z',
+        expiresAt: '2026-03-31T16:00:00.000Z',
+        data: { type: 'inactivity_nudge', nudge: '1' }
+      });
+      expect(nudges.config.messages).toContainEqual({ title: job.title, body: job.body });
+    });
+
+    test('should reject coach text that is too long or shaming', () => {
+      expect(nudges.acceptCoachMessage('  "Fancy a tiny win? Water the plant."  ')).toBe('Fancy a tiny win? Water the plant.');
+      expect(nudges.acceptCoachMessage("You've wasted the whole afternoon.")).toBeNull();
+      expect(nudges.acceptCoachMessage('x'.repeat(200))).toBeNull();
+      expect(nudges.acceptCoachMessage(undefined)).toBeNull();
+    });
+  });
+});
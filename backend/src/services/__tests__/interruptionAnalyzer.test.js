@@ -0,0 +1,84 @@
+const InterruptionAnalyzer = require('../interruptionAnalyzer');
+
+describe('InterruptionAnalyzer', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new InterruptionAnalyzer();
+  });
+
+  describe('Logging', () => {
+    test('should categorize free-text notes', () => {
+      expect(analyzer.categorize('Checked Instagram')).toBe('phone');
+      expect(analyzer.categorize('Roommate asked about rent')).toBe('person');
+      expect(analyzer.categorize('Got hungry')).toBe('hunger');
+      expect(analyzer.categorize('')).toBe('other');
+    });
+
+    test('should create an entry with the session clock', () => {
+      const entry = analyzer.createEntry({ type: 'interruption', note: 'Kid needed help' }, 612.7);
+
+      expect(entry.id).toMatch(/^interruption_/);
+      expect(entry.category).toBe('person');
+      expect(entry.elapsedSeconds).toBe(612);
+    });
+
+    test('should prefer an explicit category and validate input', () => {
+      expect(analyzer.createEntry({ category: 'noise', note: 'phone buzzing' }).category).toBe('noise');
+      expect(() => analyzer.createEntry({ type: 'nap' })).toThrow('Interruption type');
+      expect(() => analyzer.createEntry({ category: 'aliens' })).toThrow('Unknown interruption category');
+      expect(() => analyzer.createEntry({ category: 'constructor' })).toThrow('Unknown interruption category');
+    });
+  });
+
+  describe('Analytics', () => {
+    const at = hour => new Date(Date.UTC(2026, 2, 2, hour, 0, 0));
+    const sessions = [
+      {
+        interruptions: [
+          { type: 'distraction', category: 'phone', at: at(9), elapsedSeconds: 600 },
+          { type: 'distraction', category: 'phone', at: at(9), elapsedSeconds: 1200 }
+        ]
+      },
+      {
+        interruptions: [
+          { type: 'interruption', category: 'person', at: at(14).toISOString(), elapsedSeconds: 1200 }
+        ]
+      },
+      { interruptions: [] }
+    ];
+
+    test('should rank the most common distractors', () => {
+      const result = analyzer.analyze(sessions);
+
+      expect(result.totalInterruptions).toBe(3);
+      expect(result.topDistractors[0]).toEqual({ category: 'phone', count: 2, percentage: 67 });
+      expect(result.byType).toEqual({ distraction: 2, interruption: 1 });
+    });
+
+    test('should group by time of day', () => {
+      const result = analyzer.analyze(sessions);
+
+      expect(result.byTimeOfDay).toEqual({ morning: 2, afternoon: 1 });
+      expect(result.peakTimeOfDay).toBe('morning');
+      // 09:00 and 14:00 UTC are evening and night in Tokyo
+      expect(analyzer.analyze(sessions, 'Asia/Tokyo').byTimeOfDay).toEqual({ evening: 2, night: 1 });
+    });
+
+    test('should average focus time before the first interruption', () => {
+      const result = analyzer.analyze(sessions);
+
+      expect(result.sessionsWithInterruptions).toBe(2);
+      expect(result.interruptionRate).toBe(67);
+      expect(result.averageFocusBeforeFirstInterruption).toBe(15);
+    });
+
+    test('should handle users without sessions', () => {
+      const result = analyzer.analyze([]);
+
+      expect(result.totalInterruptions).toBe(0);
+      expect(result.averageFocusBeforeFirstInterruption).toBeNull();
+      expect(result.peakTimeOfDay).toBeNull();
+    });
+  });
+});
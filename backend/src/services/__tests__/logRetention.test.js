@@ -82,6 +82,105 @@ describe('LogRetentionService', () => {
     });
   });
 
+  describe('Deletion Queue', () => {
+    let queueService;
+
+    beforeEach(async () => {
+      await fs.mkdir(testLogsDir, { recursive: true });
+      await fs.writeFile(path.join(testLogsDir, 'app.log'), [
+        JSON.stringify({ userId: 'user123', message: 'Mine' }),
+        JSON.stringify({ userId: 'user456', message: 'Theirs' })
+      ].join('\n'));
+
+      queueService = new LogRetentionService({
+        logsDirectory: testLogsDir,
+        enableAutoPurge: false,
+        enableWorker: false
+      });
+    });
+
+    afterEach(() => {
+      queueService.shutdown();
+    });
+
+    test('should persist requests across restarts', async () => {
+      const { requestId } = await queueService.requestUserLogDeletion('user123', 'privacy_request');
+      expect(queueService.getDeletionRequestStatus(requestId).status).toBe('pending');
+
+      const restarted = new LogRetentionService({ logsDirectory: testLogsDir, enableAutoPurge: false, enableWorker: false });
+      const stored = restarted.getDeletionRequestStatus(requestId);
+
+      expect(stored).toMatchObject({ userId: 'user123', reason: 'privacy_request', status: 'pending' });
+      expect(stored.requestedAt).toBeInstanceOf(Date);
+
+      await restarted.processQueue();
+      expect(restarted.getDeletionRequestStatus(requestId)).toMatchObject({ status: 'completed', attempts: 1 });
+      expect(await fs.readFile(path.join(testLogsDir, 'app.log'), 'utf8')).not.toContain('user123');
+      restarted.shutdown();
+    });
+
+    test('should retry failed attempts and then fail the request', async () => {
+      const deleteFromFile = jest.spyOn(queueService, 'deleteUserLogsFromFile').mockRejectedValue(new Error('EACCES'));
+      const { requestId } = await queueService.requestUserLogDeletion('user123');
+
+      await queueService.processQueue();
+      const request = queueService.getDeletionRequestStatus(requestId);
+      expect(request).toMatchObject({ status: 'pending', attempts: 1 });
+      expect(request.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      // Not due yet
+      expect(await queueService.processQueue()).toBe(0);
+
+      const later = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      await queueService.processQueue(later);
+      await queueService.processQueue(later);
+      expect(request).toMatchObject({ status: 'failed', attempts: 3 });
+      expect(request.errors).toHaveLength(3);
+
+      deleteFromFile.mockRestore();
+      queueService.retryDeletionRequest(requestId);
+      await queueService.processQueue();
+      expect(request.status).toBe('completed');
+    });
+
+    test('should resolve waiting callers once processed', async () => {
+      const pending = queueService.requestUserLogDeletion('user123', 'account_deletion', { wait: true });
+      await queueService.processQueue();
+
+      const result = await pending;
+      expect(result.success).toBe(true);
+      expect(result.deletedFiles).toEqual([{ file: 'app.log', deletedEntries: 1 }]);
+    });
+
+    test('should process waited-for requests right away without a worker', async () => {
+      const result = await queueService.requestUserLogDeletion('user123', 'account_deletion', { wait: true });
+      expect(result).toMatchObject({ success: true, status: 'completed' });
+
+      jest.spyOn(queueService, 'deleteUserLogsFromFile').mockRejectedValue(new Error('EACCES'));
+      const failed = await queueService.requestUserLogDeletion('user456', 'account_deletion', { wait: true });
+
+      expect(failed).toMatchObject({ success: false, status: 'failed' });
+      expect(failed.error).toContain('EACCES');
+      expect(queueService.getDeletionRequestStatus(failed.requestId).attempts).toBe(3);
+    });
+
+    test('should report outstanding requests against the SLA', async () => {
+      const { requestId } = await queueService.requestUserLogDeletion('user123');
+      await queueService.requestUserLogDeletion('user456');
+      await queueService.processQueue();
+      await queueService.requestUserLogDeletion('user789');
+
+      const report = queueService.getDeletionQueueReport(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000));
+
+      expect(report.counts).toMatchObject({ pending: 1, completed: 2 });
+      expect(report.outstanding).toHaveLength(1);
+      expect(report.outstanding[0]).toMatchObject({ userId: 'user789', overdue: true });
+      expect(report.overdue).toBe(1);
+      expect(report.completion).toMatchObject({ completed: 2, withinSla: 2 });
+      expect(queueService.getDeletionRequestStatus(requestId).dueBy).toBeInstanceOf(Date);
+    });
+  });
+
   describe('Log Purging', () => {
     test('should determine if log should be purged', () => {
       const now = new Date();
@@ -0,0 +1,109 @@
+const MoodCorrelations = require('../moodCorrelations');
+const ActivityRollups = require('../activityRollups');
+const { addDays } = require('../../utils/timeZoneUtils');
+
+describe('MoodCorrelations', () => {
+  let correlations;
+  const rollups = new ActivityRollups();
+  const dates = count => Array.from({ length: count }, (_, index) => addDays('2026-03-01', index));
+
+  // A rollup for one day with a journal mood and routine steps completed out of 10
+  const day = (date, mood, completedSteps) => {
+    const rollup = rollups.createRollup(date);
+    rollup.moods = { count: 1, byMood: { [mood]: 1 } };
+    rollup.completions.routineSteps = completedSteps;
+    rollup.skips.routineSteps = 10 - completedSteps;
+    return rollup;
+  };
+
+  beforeEach(() => {
+    correlations = new MoodCorrelations();
+  });
+
+  describe('Statistics', () => {
+    test('should compute two-sided p-values of the t distribution', () => {
+      expect(correlations.studentTwoTailedP(0, 10)).toBeCloseTo(1, 6);
+      expect(correlations.studentTwoTailedP(2.228, 10)).toBeCloseTo(0.05, 3);
+      expect(correlations.studentTwoTailedP(-2.228, 10)).toBeCloseTo(0.05, 3);
+      expect(correlations.studentTwoTailedP(12.706, 1)).toBeCloseTo(0.05, 3);
+    });
+
+    test('should run a Welch test on unequal groups', () => {
+      const result = correlations.welchTest([0.3, 0.4, 0.35, 0.45, 0.3], [0.8, 0.9, 0.85, 0.7, 0.75, 0.8]);
+
+      expect(result.t).toBeLessThan(0);
+      expect(result.p).toBeLessThan(0.001);
+    });
+  });
+
+  describe('Findings', () => {
+    test('should report a mood that lowers the completion rate', () => {
+      const days = correlations.buildDays({
+        rollups: dates(14).map((date, index) => index % 2 === 0
+          ? day(date, 'anxious', [5, 6, 5, 6, 5, 6, 5][index / 2])
+          : day(date, 'calm', [8, 9, 8, 9, 8, 9, 8][(index - 1) / 2]))
+      });
+
+      const { findings } = correlations.analyze(days);
+      const anxious = findings.find(finding => finding.factor === 'mood:anxious' && finding.outcome === 'completionRate');
+
+      expect(anxious).toMatchObject({ samples: { with: 7, without: 7 } });
+      expect(anxious.change).toBeCloseTo(-0.36, 2);
+      expect(anxious.confidence).toBeGreaterThan(0.99);
+      expect(anxious.message).toBe("On days you log 'anxious' your routine completion rate drops 36%");
+    });
+
+    test('should correct confidence for testing many factor and outcome pairs', () => {
+      const adjusted = correlations.adjustPValues([0.01, 0.04, 0.03, 0.5].map(rawPValue => ({ rawPValue, pValue: rawPValue })));
+
+      expect(adjusted.map(finding => finding.adjustedPValue)).toEqual([0.04, 0.0533, 0.0533, 0.5]);
+      expect(adjusted.map(finding => finding.confidence)).toEqual([0.96, 0.9467, 0.9467, 0.5]);
+      expect(adjusted[0]).not.toHaveProperty('rawPValue');
+    });
+
+    test('should not report groups below the minimum sample size', () => {
+      const days = correlations.buildDays({
+        rollups: dates(8).map((date, index) => day(date, index < 3 ? 'anxious' : 'calm', index < 3 ? 2 : 9))
+      });
+
+      const result = correlations.analyze(days);
+
+      expect(result.findings).toEqual([]);
+      expect(result.insufficient).toBeGreaterThan(0);
+    });
+
+    test('should relate sleep to evening routine success', () => {
+      const routines = new Map([['evening', { startTime: '20:00' }]]);
+      const runs = dates(12).map((date, index) => ({
+        date,
+        routineId: 'evening',
+        status: index < 6 ? 'completed' : index === 11 ? 'partial' : 'skipped',
+        minimumTaskIds: ['a'],
+        tasks: [{ taskId: 'a', status: index < 6 || index === 11 ? 'completed' : 'skipped' }]
+      }));
+      const journalEntries = dates(12).map((date, index) => ({
+        createdAt: new Date(`${date}T08:00:00Z`),
+        sleepQuality: index < 6 ? 8 : 3
+      }));
+
+      const { findings } = correlations.analyze(correlations.buildDays({ runs, journalEntries, routines }));
+      const sleep = findings.find(finding => finding.factor === 'sleep:good' && finding.outcome === 'eveningRoutines');
+
+      expect(sleep.meanWith).toBe(1);
+      expect(sleep.message).toMatch(/^Evening routines succeed \d+% more often after good sleep$/);
+    });
+
+    test('should read moods and energy captured on task completion', () => {
+      const days = correlations.buildDays({
+        runs: [{ date: '2026-03-02', tasks: [{ taskId: 'a', mood: 'Tired', energyLevel: 3 }, { taskId: 'b', energyLevel: 5 }] }]
+      });
+
+      expect([...days[0].moods]).toEqual(['tired']);
+      expect(correlations.getFactors(days[0], new Set(['tired', 'happy']))).toEqual({
+        'mood:tired': true,
+        'mood:happy': false,
+        'energy:high': false
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const NotificationAnalytics = require('../notificationAnalytics');
+
+describe('NotificationAnalytics', () => {
+  let analytics;
+
+  beforeEach(() => {
+    analytics = new NotificationAnalytics({ minSamples: 3, priorWeight: 2 });
+  });
+
+  const reminder = (sentAt, lead, todoId, extra = {}) => ({
+    status: 'sent',
+    sentAt,
+    data: { type: 'task_reminder', todoId, lead: lead === null ? undefined : String(lead), ...extra.data },
+    events: extra.events || {}
+  });
+
+  describe('Events', () => {
+    test('should record each event once and imply delivery', () => {
+      const at = new Date('2026-03-31T12:00:00Z');
+
+      expect(analytics.applyEvent({ events: {} }, 'opened', at)).toEqual({
+        'events.opened': '2026-03-31T12:00:00.000Z',
+        'events.delivered': '2026-03-31T12:00:00.000Z'
+      });
+      expect(analytics.applyEvent({ events: { opened: 'earlier' } }, 'opened', at)).toBeNull();
+      expect(() => analytics.applyEvent({}, 'clicked', at)).toThrow('Event must be one of');
+    });
+  });
+
+  describe('Outcomes', () => {
+    test('should credit a task reminder only when its todo is done soon after', () => {
+      const outcomes = analytics.getOutcomes([
+        reminder('2026-03-31T08:00:00Z', 60, 't1'),
+        reminder('2026-03-31T09:00:00Z', 30, 't2'),
+        { status: 'sent', sentAt: '2026-03-31T10:00:00Z', template: 'celebration', data: {}, events: { opened: 'x' } },
+        { status: 'no_devices', sentAt: '2026-03-31T10:00:00Z', data: {} }
+      ], [
+        { at: '2026-03-31T08:30:00Z', todoId: 't1' },
+        { at: '2026-03-31T11:30:00Z', todoId: 'other' },
+        { at: '2026-03-31T13:00:00Z', todoId: 't2' }
+      ]);
+
+      expect(outcomes.map(outcome => [outcome.type, outcome.completed])).toEqual([
+        ['task_reminder', true],
+        ['task_reminder', false],
+        ['celebration', true]
+      ]);
+
+      const summary = analytics.summarize(outcomes, 'Europe/Berlin');
+      expect(summary.totals).toMatchObject({ sent: 3, completed: 2, opened: 1 });
+      expect(summary.byType.task_reminder.completionRate).toBe(0.5);
+      // 10:00 UTC is noon in Berlin
+      expect(summary.byHour[12]).toMatchObject({ sent: 1, completed: 1 });
+      expect(Object.keys(summary.byLead)).toEqual(['30', '60']);
+    });
+  });
+
+  describe('Learning', () => {
+    const outcome = (lead, completed, sentAt = '2026-03-31T08:00:00Z', allDay = false) => ({
+      type: 'task_reminder', lead, completed, allDay, sentAt: new Date(sentAt)
+    });
+
+    test('should pick the lead time and all-day hour that lead to completions', () => {
+      const learning = analytics.learn([
+        outcome(60, false), outcome(60, false), outcome(60, true), outcome(60, false),
+        outcome(30, true), outcome(30, true), outcome(30, false),
+        // Too few samples to be chosen
+        outcome(120, true), outcome(120, true),
+        outcome(null, true, '2026-03-31T10:00:00Z', true),
+        outcome(null, true, '2026-03-30T10:00:00Z', true),
+        outcome(null, false, '2026-03-29T10:00:00Z', true)
+      ]);
+
+      expect(learning).toEqual({ taskLeadMinutes: 30, allDayReminderTime: '10:00', samples: 12 });
+      expect(analytics.learn([outcome(60, true)])).toMatchObject({ taskLeadMinutes: null, allDayReminderTime: null });
+    });
+
+    test('should mostly use the learned lead time and sometimes try a neighbour', () => {
+      const choices = Array.from({ length: 200 }, (_, i) =>
+        analytics.chooseTaskTimings([60], { taskLeadMinutes: 30 }, `todo_${i}`)[0]
+      );
+
+      expect(analytics.chooseTaskTimings([60], null, 'todo_1')).toEqual([60]);
+      expect(analytics.chooseTaskTimings([60], { taskLeadMinutes: 30 }, 'todo_1'))
+        .toEqual(analytics.chooseTaskTimings([60], { taskLeadMinutes: 30 }, 'todo_1'));
+      expect(choices.filter(lead => lead === 30).length).toBeGreaterThan(160);
+      expect(new Set(choices)).toEqual(new Set([15, 30, 60]));
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const NotificationScheduler = require('../notificationScheduler');
+
+describe('NotificationScheduler', () => {
+  let scheduler;
+  let clock;
+
+  const settings = (overrides = {}) => ({
+    taskReminders: { enabled: true, timings: [60, 10] },
+    routineNotifications: { enabled: true, advanceWarning: 5 },
+    doNotDisturb: { enabled: false, schedules: [] },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    clock = new Date('2026-03-31T12:00:00Z');
+    scheduler = new NotificationScheduler({ now: () => clock, horizonHours: 48 });
+  });
+
+  describe('Planning', () => {
+    test('should plan task and routine reminders inside the horizon', () => {
+      const jobs = scheduler.planJobs([
+        { type: 'todo', todoId: 't1', date: '2026-03-31', title: 'Pay rent', start: '2026-03-31T15:00:00.000Z', allDay: false },
+        { type: 'todo', todoId: 't2', date: '2026-03-31', title: 'Done', start: '2026-03-31T15:00:00.000Z', completed: true },
+        { type: 'todo', todoId: 't3', date: '2026-04-01', title: 'Call mum', start: '2026-03-31T22:00:00.000Z', allDay: true },
+        { type: 'routine', routineId: 'r1', date: '2026-03-31', title: 'Evening', start: '2026-03-31T12:03:00.000Z', allDay: false },
+        { type: 'routine', routineId: 'r2', date: '2026-03-31', title: 'Walk', start: '2026-03-31T18:00:00.000Z', allDay: false, runStatus: 'completed' }
+      ], settings(), { timeZone: 'Europe/Berlin' });
+
+      expect(jobs.map(job => [job.id, job.fireAt, job.body])).toEqual([
+        ['task_t1_2026-03-31_60', '2026-03-31T14:00:00.000Z', 'Due in 1 hour'],
+        ['task_t1_2026-03-31_10', '2026-03-31T14:50:00.000Z', 'Due in 10 minutes'],
+        // 09:00 in Berlin on the due date
+        ['task_t3_2026-04-01_day', '2026-04-01T07:00:00.000Z', 'Due today']
+      ]);
+    });
+
+    test('should use learned timings unless adaptive reminders are off', () => {
+      const items = [
+        { type: 'todo', todoId: 't1', date: '2026-04-01', title: 'Pay rent', start: '2026-04-01T15:00:00.000Z', allDay: false },
+        { type: 'todo', todoId: 't2', date: '2026-04-01', title: 'Call mum', start: '2026-03-31T22:00:00.000Z', allDay: true }
+      ];
+      const learning = { taskLeadMinutes: 120, allDayReminderTime: '11:00' };
+      scheduler.analytics.config.explorationRate = 0;
+
+      expect(scheduler.planJobs(items, settings(), { timeZone: 'Europe/Berlin', learning }).map(job => [job.id, job.fireAt])).toEqual([
+        ['task_t1_2026-04-01_120', '2026-04-01T13:00:00.000Z'],
+        ['task_t2_2026-04-01_day', '2026-04-01T09:00:00.000Z']
+      ]);
+
+      const fixed = settings({ taskReminders: { enabled: true, timings: [60], adaptive: false } });
+      expect(scheduler.planJobs(items, fixed, { timeZone: 'Europe/Berlin', learning }).map(job => job.id)).toEqual([
+        'task_t1_2026-04-01_60',
+        'task_t2_2026-04-01_day'
+      ]);
+    });
+
+    test('should cancel reminders that are no longer planned and re-arm moved ones', () => {
+      const planned = [
+        { id: 'a', fireAt: '2026-03-31T14:00:00.000Z', title: 'A', body: 'x' },
+        { id: 'b', fireAt: '2026-03-31T16:00:00.000Z', title: 'B', body: 'x' },
+        { id: 'c', fireAt: '2026-03-31T17:00:00.000Z', title: 'C', body: 'x' }
+      ];
+      const existing = [
+        { id: 'a', status: 'pending', fireAt: '2026-03-31T14:00:00.000Z', title: 'A', body: 'x' },
+        { id: 'b', status: 'sent', fireAt: '2026-03-31T13:00:00.000Z', title: 'B', body: 'x' },
+        { id: 'gone', status: 'pending', fireAt: '2026-03-31T18:00:00.000Z' },
+        { id: 'old', status: 'sent', fireAt: '2026-03-01T18:00:00.000Z' }
+      ];
+
+      const result = scheduler.reconcile(existing, planned);
+
+      expect(result.upserts.map(job => job.id)).toEqual(['b', 'c']);
+      expect(result.cancels).toEqual(['gone']);
+      expect(result.deletes).toEqual(['old']);
+    });
+  });
+
+  describe('Quiet time', () => {
+    const dnd = settings({
+      doNotDisturb: { enabled: true, schedules: [{ start: '22:00', end: '07:00' }, { start: '12:00', end: '13:00', days: [1, 2] }] }
+    });
+
+    test('should find overnight and day-limited windows in the user time zone', () => {
+      // 23:30 and 06:30 in Berlin (UTC+2)
+      expect(scheduler.getQuietWindow(new Date('2026-03-31T21:30:00Z'), dnd, 'Europe/Berlin'))
+        .toEqual({ reason: 'do_not_disturb', end: new Date('2026-04-01T05:00:00Z') });
+      expect(scheduler.getQuietWindow(new Date('2026-04-01T04:30:00Z'), dnd, 'Europe/Berlin').end)
+        .toEqual(new Date('2026-04-01T05:00:00Z'));
+      // Tuesday lunch is quiet, Wednesday lunch is not
+      expect(scheduler.getQuietWindow(new Date('2026-03-31T10:30:00Z'), dnd, 'Europe/Berlin')).not.toBeNull();
+      expect(scheduler.getQuietWindow(new Date('2026-04-01T10:30:00Z'), dnd, 'Europe/Berlin')).toBeNull();
+      expect(scheduler.getQuietWindow(new Date('2026-03-31T21:30:00Z'), settings(), 'Europe/Berlin')).toBeNull();
+    });
+
+    test('should merge back-to-back windows', () => {
+      const quiet = settings({
+        doNotDisturb: { enabled: true, schedules: [{ start: '20:00', end: '22:00' }] },
+        quietHours: { enabled: true, start: '22:00', end: '06:00' }
+      });
+
+      expect(scheduler.getQuietWindow(new Date('2026-03-31T20:30:00Z'), quiet)).toEqual({
+        reason: 'do_not_disturb',
+        end: new Date('2026-04-01T06:00:00Z')
+      });
+    });
+  });
+
+  describe('Firing', () => {
+    let jobs;
+    let sent;
+    let handlers;
+    let recipientSettings;
+    let transportError;
+    const addJob = job => jobs.set(job.id, { userId: 'u1', status: 'pending', kind: 'task_reminder', dueAt: job.fireAt, ...job });
+
+    beforeEach(() => {
+      jobs = new Map();
+      sent = [];
+      recipientSettings = settings();
+      transportError = null;
+      handlers = {
+        claimDue: async (now, limit) => [...jobs.values()]
+          .filter(job => job.dueAt && new Date(job.dueAt) <= now)
+          .slice(0, limit)
+          .map(job => ({ ...job })),
+        getRecipient: async () => ({ settings: recipientSettings, timeZone: 'UTC' }),
+        send: async job => {
+          if (transportError) throw transportError;
+          sent.push(job.id);
+          return { delivered: true };
+        },
+        complete: async (job, changes) => {
+          jobs.set(job.id, { ...jobs.get(job.id), ...changes });
+        }
+      };
+    });
+
+    test('should send due jobs once through the transport', async () => {
+      addJob({ id: 'due', fireAt: '2026-03-31T11:59:00.000Z', expiresAt: '2026-03-31T13:00:00.000Z' });
+      addJob({ id: 'later', fireAt: '2026-03-31T12:30:00.000Z', expiresAt: '2026-03-31T13:00:00.000Z' });
+
+      expect(await scheduler.runDue(handlers)).toEqual({ sent: 1, deferred: 0, skipped: 0, failed: 0 });
+      await scheduler.runDue(handlers);
+
+      expect(sent).toEqual(['due']);
+      expect(jobs.get('due')).toMatchObject({ status: 'sent', dueAt: null });
+
+      clock = new Date('2026-03-31T12:30:00Z');
+      await scheduler.runDue(handlers);
+      expect(sent).toEqual(['due', 'later']);
+    });
+
+    test('should hold jobs during do not disturb and send them afterwards', async () => {
+      recipientSettings = settings({ doNotDisturb: { enabled: true, schedules: [{ start: '11:00', end: '12:30' }] } });
+      addJob({ id: 'held', fireAt: '2026-03-31T12:00:00.000Z', expiresAt: '2026-03-31T13:00:00.000Z' });
+      addJob({ id: 'pointless', fireAt: '2026-03-31T12:00:00.000Z', expiresAt: '2026-03-31T12:15:00.000Z' });
+
+      await scheduler.runDue(handlers);
+      expect(sent).toEqual([]);
+      expect(jobs.get('held')).toMatchObject({ status: 'pending', dueAt: '2026-03-31T12:30:00.000Z', reason: 'do_not_disturb' });
+      expect(jobs.get('pointless')).toMatchObject({ status: 'skipped', reason: 'do_not_disturb' });
+
+      clock = new Date('2026-03-31T12:30:00Z');
+      await scheduler.runDue(handlers);
+      expect(sent).toEqual(['held']);
+    });
+
+    test('should drop jobs missed while the server was down', async () => {
+      addJob({ id: 'missed', fireAt: '2026-03-31T10:00:00.000Z', expiresAt: '2026-03-31T18:00:00.000Z' });
+
+      await scheduler.runDue(handlers);
+
+      expect(sent).toEqual([]);
+      expect(jobs.get('missed')).toMatchObject({ status: 'skipped', reason: 'expired' });
+    });
+
+    test('should retry transport failures with backoff', async () => {
+      transportError = new Error('FCM unavailable');
+      addJob({ id: 'flaky', fireAt: '2026-03-31T12:00:00.000Z', expiresAt: '2026-03-31T13:00:00.000Z' });
+
+      await scheduler.runDue(handlers);
+      expect(jobs.get('flaky')).toMatchObject({ status: 'pending', attempts: 1, dueAt: '2026-03-31T12:01:00.000Z' });
+
+      clock = new Date('2026-03-31T12:01:00Z');
+      await scheduler.runDue(handlers);
+      clock = new Date('2026-03-31T12:03:00Z');
+      await scheduler.runDue(handlers);
+      expect(jobs.get('flaky')).toMatchObject({ status: 'failed', attempts: 3, dueAt: null });
+    });
+
+    test('should carry on with the batch when a failure cannot be recorded', async () => {
+      const errors = [];
+      const complete = handlers.complete;
+      handlers.complete = async (job, changes) => {
+        if (job.id === 'stuck') throw new Error('Firestore unavailable');
+        return complete(job, changes);
+      };
+      handlers.onError = (job, error) => errors.push([job.id, error.message]);
+      handlers.getRecipient = async userId => {
+        if (userId === 'u2') throw new Error('Profile unavailable');
+        return { settings: recipientSettings, timeZone: 'UTC' };
+      };
+      addJob({ id: 'stuck', userId: 'u2', fireAt: '2026-03-31T11:59:00.000Z', expiresAt: '2026-03-31T13:00:00.000Z' });
+      addJob({ id: 'fine', fireAt: '2026-03-31T11:59:00.000Z', expiresAt: '2026-03-31T13:00:00.000Z' });
+
+      expect(await scheduler.runDue(handlers)).toEqual({ sent: 1, deferred: 0, skipped: 0, failed: 1 });
+      expect(sent).toEqual(['fine']);
+      expect(errors).toEqual([['stuck', 'Firestore unavailable']]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const NotificationTemplates = require('../notificationTemplates');
+
+describe('NotificationTemplates', () => {
+  let templates;
+
+  beforeEach(() => {
+    templates = new NotificationTemplates();
+  });
+
+  describe('Rendering', () => {
+    test('should fill in variables in the closest locale', () => {
+      expect(templates.render('routine_starting', { routine: 'Morning', minutes: 5 }, 'de-AT')).toEqual({
+        title: 'Zeit für Morning',
+        body: 'Beginnt in 5 Minuten. Du schaffst das.',
+        locale: 'de',
+        data: { type: 'routine_starting' }
+      });
+      expect(templates.render('streak_at_risk', { streak: 12 }, 'fr-FR').locale).toBe('en');
+      expect(templates.render('streak_at_risk', { streak: 12 }).title).toBe('Keep your 12-day streak going');
+    });
+
+    test('should reject unknown templates and missing variables', () => {
+      expect(() => templates.render('nope')).toThrow('Unknown notification template: nope');
+      expect(() => templates.render('celebration', {})).toThrow('Missing template variable: achievement');
+    });
+
+    test('should clamp variables so templates cannot carry long free text', () => {
+      const { body } = templates.render('celebration', { achievement: 'x'.repeat(500) });
+      expect(body.length).toBeLessThan(130);
+    });
+  });
+
+  describe('Permissions', () => {
+    test('should only let partners send templates that allow them', () => {
+      expect(templates.canSend('self')).toBe(true);
+      expect(templates.canSend('admin')).toBe(true);
+      expect(templates.canSend('partner')).toBe(false);
+      expect(templates.canSend('partner', 'celebration')).toBe(true);
+      expect(templates.canSend('partner', 'routine_starting')).toBe(false);
+      expect(templates.canSend(null, 'celebration')).toBe(false);
+    });
+
+    test('should validate free text and data payloads', () => {
+      expect(templates.validateCustom({ title: ' Hi ', body: 'there' })).toEqual({ title: 'Hi', body: 'there' });
+      expect(() => templates.validateCustom({ body: 'no title' })).toThrow('Title is required');
+      expect(() => templates.validateData({ count: 3 })).toThrow('Data must be an object of string values');
+      expect(templates.validateData(undefined)).toEqual({});
+    });
+  });
+
+  describe('Rate limits', () => {
+    test('should allow sends up to the limit within the window', () => {
+      const now = new Date('2026-03-31T12:00:00Z');
+      const sentAt = ['2026-03-30T11:00:00.000Z', '2026-03-31T08:00:00.000Z', '2026-03-31T10:00:00.000Z'];
+
+      const blocked = templates.checkRateLimit('streak_at_risk', sentAt, now);
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.retryAfterSeconds).toBe(20 * 60 * 60);
+
+      const allowed = templates.checkRateLimit('streak_at_risk', sentAt.slice(0, 2), now);
+      expect(allowed.allowed).toBe(true);
+      expect(allowed.sentAt).toEqual(['2026-03-31T08:00:00.000Z', '2026-03-31T12:00:00.000Z']);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const PushDevices = require('../pushDevices');
+
+describe('PushDevices', () => {
+  let registry;
+  const now = new Date('2026-03-31T12:00:00Z');
+  const device = (id, lastSeenAt) => ({ id, token: `token-${id}-abcdefgh`, lastSeenAt });
+
+  beforeEach(() => {
+    registry = new PushDevices({ maxDevices: 2, staleDays: 60 });
+  });
+
+  describe('Registration', () => {
+    test('should validate and normalize device details', () => {
+      expect(registry.normalizeRegistration({ fcmToken: ' abc ', platform: 'iOS', locale: 'de_DE', appVersion: '2.1.0' }))
+        .toEqual({ token: 'abc', platform: 'ios', appVersion: '2.1.0', locale: 'de-DE', deviceName: null });
+      expect(registry.normalizeRegistration({ fcmToken: 'abc' }).platform).toBe('unknown');
+      expect(() => registry.normalizeRegistration({})).toThrow('FCM token is required');
+      expect(() => registry.normalizeRegistration({ fcmToken: 'abc', platform: 'fax' })).toThrow('Platform must be one of');
+      expect(() => registry.normalizeRegistration({ fcmToken: 'abc', locale: '<script>' })).toThrow('Locale');
+    });
+
+    test('should map the same token to the same device', () => {
+      expect(registry.getDeviceId('abc')).toBe(registry.getDeviceId('abc'));
+      expect(registry.getDeviceId('abc')).not.toBe(registry.getDeviceId('abd'));
+    });
+
+    test('should evict the least recently seen devices beyond the limit', () => {
+      const devices = [device('a', '2026-03-01T00:00:00Z'), device('b', '2026-03-20T00:00:00Z')];
+
+      expect(registry.selectEvictions(devices, 'c').map(d => d.id)).toEqual(['a']);
+      expect(registry.selectEvictions(devices, 'a')).toEqual([]);
+    });
+  });
+
+  describe('Sending', () => {
+    test('should skip devices not seen for too long', () => {
+      const { active, stale } = registry.partition([
+        device('a', '2026-03-30T00:00:00Z'),
+        device('b', '2026-01-01T00:00:00Z'),
+        device('c', null)
+      ], now);
+
+      expect(active.map(d => d.id)).toEqual(['a']);
+      expect(stale.map(d => d.id)).toEqual(['b', 'c']);
+    });
+
+    test('should prune only tokens FCM rejects for good', () => {
+      const devices = [device('a'), device('b'), device('c')];
+      const result = registry.summarizeResponse(devices, {
+        responses: [
+          { success: true, messageId: 'm1' },
+          { success: false, error: { code: 'messaging/registration-token-not-registered' } },
+          { success: false, error: { code: 'messaging/internal-error' } }
+        ]
+      });
+
+      expect(result.messageIds).toEqual(['m1']);
+      expect(result.invalidDeviceIds).toEqual(['b']);
+      expect(result.failures).toHaveLength(2);
+    });
+
+    test('should hide all but the end of the token', () => {
+      expect(registry.format(device('a', '2026-03-30T00:00:00Z'))).toMatchObject({ id: 'a', tokenSuffix: 'abcdefgh' });
+      expect(registry.format(device('a')).token).toBeUndefined();
+    });
+  });
+});
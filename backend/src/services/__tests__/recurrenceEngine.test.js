@@ -0,0 +1,164 @@
+const RecurrenceEngine = require('../recurrenceEngine');
+
+describe('RecurrenceEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new RecurrenceEngine();
+  });
+
+  const iso = dates => dates.map(date => date.toISOString());
+
+  describe('Rule Normalization', () => {
+    test('should expand presets', () => {
+      expect(engine.normalizeRule('daily')).toEqual({
+        frequency: 'daily',
+        interval: 1,
+        byWeekday: null,
+        byMonthDay: null,
+        count: null,
+        until: null
+      });
+
+      expect(engine.normalizeRule('weekdays').byWeekday).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('should parse RRULE strings', () => {
+      const rule = engine.normalizeRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=6');
+
+      expect(rule.frequency).toBe('weekly');
+      expect(rule.interval).toBe(2);
+      expect(rule.byWeekday).toEqual([1, 3]);
+      expect(rule.count).toBe(6);
+    });
+
+    test('should accept rule objects with weekday codes', () => {
+      const rule = engine.normalizeRule({ frequency: 'weekly', byWeekday: ['FR', 'MO'] });
+      expect(rule.byWeekday).toEqual([1, 5]);
+    });
+
+    test('should round-trip through RRULE serialization', () => {
+      const rule = engine.normalizeRule('FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20261231');
+      expect(engine.normalizeRule(engine.toRRule(rule))).toEqual(rule);
+    });
+
+    test('should reject invalid rules', () => {
+      expect(() => engine.normalizeRule(null)).toThrow('Recurrence rule is required');
+      expect(() => engine.normalizeRule('FREQ=HOURLY')).toThrow('Unsupported recurrence frequency');
+      expect(() => engine.normalizeRule({ frequency: 'daily', interval: 0 })).toThrow('interval');
+      expect(() => engine.normalizeRule({ frequency: 'weekly', byWeekday: [9] })).toThrow('weekdays');
+      expect(() => engine.normalizeRule('FREQ=DAILY;BYHOUR=9')).toThrow('Unsupported RRULE part');
+      expect(() => engine.normalizeRule('FREQ=MONTHLY;BYDAY=1MO')).toThrow('Ordinal recurrence weekdays such as 1MO');
+      expect(() => engine.normalizeRule({ frequency: 'weekly', byWeekday: ['-1FR'] })).toThrow('not supported');
+      expect(() => engine.normalizeRule({ frequency: 'weekly', byWeekday: ['XX'] })).toThrow('weekdays');
+    });
+  });
+
+  describe('Occurrence Expansion', () => {
+    test('should expand every N days', () => {
+      const rule = engine.normalizeRule({ frequency: 'daily', interval: 3 });
+      const occurrences = engine.getOccurrences(rule, '2026-01-01T08:00:00Z', '2026-01-01', '2026-01-10');
+
+      expect(iso(occurrences)).toEqual([
+        '2026-01-01T08:00:00.000Z',
+        '2026-01-04T08:00:00.000Z',
+        '2026-01-07T08:00:00.000Z',
+        '2026-01-10T08:00:00.000Z'
+      ]);
+    });
+
+    test('should skip weekends for weekday rules', () => {
+      const rule = engine.normalizeRule('weekdays');
+      // 2026-01-02 is a Friday
+      const occurrences = engine.getOccurrences(rule, '2026-01-02T09:00:00Z', '2026-01-02', '2026-01-07');
+
+      expect(iso(occurrences)).toEqual([
+        '2026-01-02T09:00:00.000Z',
+        '2026-01-05T09:00:00.000Z',
+        '2026-01-06T09:00:00.000Z',
+        '2026-01-07T09:00:00.000Z'
+      ]);
+    });
+
+    test('should clamp monthly days to short months', () => {
+      const rule = engine.normalizeRule({ frequency: 'monthly', byMonthDay: 31 });
+      const occurrences = engine.getOccurrences(rule, '2026-01-31T00:00:00Z', '2026-01-01', '2026-04-30');
+
+      expect(iso(occurrences)).toEqual([
+        '2026-01-31T00:00:00.000Z',
+        '2026-02-28T00:00:00.000Z',
+        '2026-03-31T00:00:00.000Z',
+        '2026-04-30T00:00:00.000Z'
+      ]);
+    });
+
+    test('should support last day of month', () => {
+      const rule = engine.normalizeRule('FREQ=MONTHLY;BYMONTHDAY=-1');
+      const occurrences = engine.getOccurrences(rule, '2026-02-01T00:00:00Z', '2026-02-01', '2026-03-31');
+
+      expect(iso(occurrences)).toEqual([
+        '2026-02-28T00:00:00.000Z',
+        '2026-03-31T00:00:00.000Z'
+      ]);
+    });
+
+    test('should count occurrences from the anchor', () => {
+      const rule = engine.normalizeRule('FREQ=DAILY;COUNT=3');
+      const occurrences = engine.getOccurrences(rule, '2026-01-01T00:00:00Z', '2026-01-02', '2026-01-31');
+
+      expect(occurrences).toHaveLength(2);
+    });
+
+    test('should stop at the until date', () => {
+      const rule = engine.normalizeRule('FREQ=WEEKLY;UNTIL=20260115');
+      const occurrences = engine.getOccurrences(rule, '2026-01-01T10:00:00Z', '2026-01-01', '2026-02-28');
+
+      expect(occurrences).toHaveLength(3);
+    });
+  });
+
+  describe('Time Zones', () => {
+    test('should pick weekdays on the local calendar and keep the local time across DST', () => {
+      // Friday 20:00 in New York is Saturday in UTC; DST starts on March 8
+      const occurrences = engine.getOccurrences(engine.normalizeRule('weekdays'), '2026-03-07T01:00:00Z', '2026-03-06', '2026-03-10', {
+        timeZone: 'America/New_York'
+      });
+
+      expect(iso(occurrences)).toEqual([
+        '2026-03-07T01:00:00.000Z',
+        '2026-03-10T00:00:00.000Z',
+        '2026-03-11T00:00:00.000Z'
+      ]);
+    });
+
+    test('should match BYDAY against the local weekday', () => {
+      // Monday 08:00 in Tokyo is still Sunday in UTC
+      const rule = engine.normalizeRule('FREQ=WEEKLY;BYDAY=MO');
+      const next = engine.getNextOccurrence(rule, '2026-03-01T23:00:00Z', '2026-03-01T23:00:00Z', { timeZone: 'Asia/Tokyo' });
+
+      expect(next.toISOString()).toBe('2026-03-08T23:00:00.000Z');
+    });
+
+    test('should keep date-only anchors on their calendar dates', () => {
+      const occurrences = engine.getOccurrences(engine.normalizeRule('weekends'), '2026-03-07', '2026-03-07T00:00:00Z', '2026-03-09T00:00:00Z', {
+        timeZone: 'America/Los_Angeles'
+      });
+
+      expect(iso(occurrences)).toEqual(['2026-03-07T00:00:00.000Z', '2026-03-08T00:00:00.000Z']);
+    });
+  });
+
+  describe('Next Occurrence', () => {
+    test('should return the first occurrence after a date', () => {
+      const rule = engine.normalizeRule('daily');
+      const next = engine.getNextOccurrence(rule, '2026-01-01T21:00:00Z', '2026-01-05T21:00:00Z');
+
+      expect(next.toISOString()).toBe('2026-01-06T21:00:00.000Z');
+    });
+
+    test('should return null once the series has ended', () => {
+      const rule = engine.normalizeRule('FREQ=DAILY;COUNT=2');
+      expect(engine.getNextOccurrence(rule, '2026-01-01T00:00:00Z', '2026-01-02T00:00:00Z')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const RoutinePlayer = require('../routinePlayer');
+const RoutineRunTracker = require('../routineRuns');
+
+describe('RoutinePlayer', () => {
+  let player;
+  let routine;
+  let run;
+  const start = new Date('2026-03-02T07:00:00Z');
+  const at = minutes => new Date(start.getTime() + minutes * 60 * 1000);
+
+  beforeEach(() => {
+    player = new RoutinePlayer();
+    routine = {
+      id: 'morning',
+      title: 'Morning routine',
+      tasks: [
+        { id: 'brush', title: 'Brush teeth', estimatedDuration: 5, bufferTime: 2 },
+        { id: 'dress', title: 'Get dressed', estimatedDuration: 10, bufferTime: 0 },
+        { id: 'pack', title: 'Pack bag', estimatedDuration: 5, bufferTime: 0 }
+      ]
+    };
+    run = new RoutineRunTracker().createRun(routine, '2026-03-02');
+  });
+
+  describe('Starting', () => {
+    test('should start at the first pending step', () => {
+      const started = player.start(run, routine, start);
+      const state = player.getState(started, routine, at(3));
+
+      expect(state.status).toBe('active');
+      expect(state.step).toMatchObject({ taskId: 'brush', elapsedSeconds: 180, remainingSeconds: 120 });
+      expect(started.status).toBe('in_progress');
+    });
+
+    test('should not start twice', () => {
+      const started = player.start(run, routine, start);
+      expect(() => player.start(started, routine, at(1))).toThrow('Routine is already playing');
+    });
+  });
+
+  describe('Step Transitions', () => {
+    test('should record real durations and open a buffered transition', () => {
+      let played = player.start(run, routine, start);
+      played = player.next(played, routine, at(7));
+
+      expect(played.tasks[0]).toMatchObject({ status: 'completed', actualDuration: 7 });
+
+      const state = player.getState(played, routine, at(8));
+      expect(state.status).toBe('transition');
+      expect(state.transition).toMatchObject({ toTaskId: 'dress', bufferSeconds: 120, remainingSeconds: 60 });
+    });
+
+    test('should record the real transition gap when the next step starts', () => {
+      let played = player.start(run, routine, start);
+      played = player.next(played, routine, at(5));
+      played = player.next(played, routine, at(9));
+
+      expect(player.getState(played, routine, at(9)).step.taskId).toBe('dress');
+      expect(played.tasks[1].transitionSeconds).toBe(240);
+      expect(player.getState(played, routine, at(9)).transition).toBeNull();
+    });
+
+    test('should skip the buffer when a task has none', () => {
+      let played = player.start(run, routine, start);
+      played = player.next(played, routine, at(5));
+      played = player.next(played, routine, at(6));
+      played = player.next(played, routine, at(16));
+
+      expect(player.getState(played, routine, at(16)).step.taskId).toBe('pack');
+    });
+
+    test('should finish the run after the last step', () => {
+      let played = player.start(run, routine, start);
+      played = player.next(played, routine, at(5));
+      played = player.next(played, routine, at(6));
+      played = player.next(played, routine, at(16));
+      played = player.next(played, routine, at(20), { skip: true, reason: 'Running late' });
+
+      expect(played.status).toBe('partial');
+      expect(played.player.status).toBe('finished');
+      expect(played.tasks[2]).toMatchObject({ status: 'skipped', skipReason: 'Running late' });
+    });
+
+    test('should go back and keep time already spent on the step', () => {
+      let played = player.start(run, routine, start);
+      played = player.next(played, routine, at(5));
+      played = player.next(played, routine, at(6));
+      played = player.back(played, routine, at(8));
+
+      expect(played.tasks[0].status).toBe('pending');
+      expect(played.tasks[1].elapsedMs).toBe(2 * 60 * 1000);
+
+      played = player.next(played, routine, at(10));
+      expect(played.tasks[0].actualDuration).toBe(7);
+      expect(() => player.back(player.start(run, routine, start), routine, at(1))).toThrow('Already at the first step');
+    });
+  });
+
+  describe('Pause and More Time', () => {
+    test('should exclude paused time from the step', () => {
+      let played = player.start(run, routine, start);
+      played = player.pause(played, at(2));
+      played = player.resume(played, at(12));
+
+      expect(player.getState(played, routine, at(13)).step.elapsedSeconds).toBe(180);
+      expect(() => player.resume(played, at(14))).toThrow('Cannot resume while the routine is active');
+    });
+
+    test('should extend the current step or transition', () => {
+      let played = player.start(run, routine, start);
+      played = player.addTime(played, 5, at(4));
+      expect(player.getState(played, routine, at(4)).step.plannedSeconds).toBe(600);
+
+      played = player.next(played, routine, at(9));
+      played = player.addTime(played, 3, at(9));
+      expect(player.getState(played, routine, at(9)).transition.bufferSeconds).toBe(300);
+      expect(() => player.addTime(played, 0, at(9))).toThrow('Extra time');
+    });
+  });
+});
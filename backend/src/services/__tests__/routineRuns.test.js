@@ -0,0 +1,122 @@
+const RoutineRunTracker = require('../routineRuns');
+
+describe('RoutineRunTracker', () => {
+  let tracker;
+  let routine;
+  const now = new Date('2026-03-02T08:00:00Z');
+
+  beforeEach(() => {
+    tracker = new RoutineRunTracker();
+    routine = {
+      id: 'morning',
+      title: 'Morning routine',
+      tasks: [
+        { id: 'brush', title: 'Brush teeth', estimatedDuration: 5 },
+        { id: 'stretch', title: 'Stretch', estimatedDuration: 10 }
+      ]
+    };
+  });
+
+  describe('Run Creation', () => {
+    test('should create one pending run per routine and day', () => {
+      const run = tracker.createRun(routine, '2026-03-02');
+
+      expect(run.id).toBe('morning_2026-03-02');
+      expect(run.status).toBe('pending');
+      expect(run.tasks.map(task => task.status)).toEqual(['pending', 'pending']);
+    });
+
+    test('should count a bare-minimum day on runs created without a variant', () => {
+      const withMinimum = { ...routine, variants: { minimum: { tasks: [{ taskId: 'brush' }] } } };
+      const run = tracker.createRun(withMinimum, '2026-03-02');
+      expect(run.minimumTaskIds).toEqual(['brush']);
+
+      const done = tracker.skipTask(tracker.completeTask(run, withMinimum, 'brush', {}, now), withMinimum, 'stretch', {}, now);
+      expect(done.outcome.success).toBe('partial');
+      expect(tracker.getSuccessLevel({ ...done, minimumTaskIds: [] })).toBe('none');
+    });
+
+    test('should validate run dates', () => {
+      expect(tracker.normalizeDate(undefined, now)).toBe('2026-03-02');
+      expect(tracker.normalizeDate('2026-02-28')).toBe('2026-02-28');
+      expect(() => tracker.normalizeDate('2026-02-30')).toThrow('YYYY-MM-DD');
+      expect(() => tracker.normalizeDate('March 2')).toThrow('YYYY-MM-DD');
+    });
+  });
+
+  describe('Task Transitions', () => {
+    test('should start the run on the first task', () => {
+      const run = tracker.completeTask(tracker.createRun(routine, '2026-03-02'), routine, 'brush', { actualDuration: 4 }, now);
+
+      expect(run.status).toBe('in_progress');
+      expect(run.startedAt).toBe(now);
+      expect(run.tasks[0]).toMatchObject({ status: 'completed', actualDuration: 4 });
+    });
+
+    test('should finish the run with an outcome when every task is resolved', () => {
+      let run = tracker.createRun(routine, '2026-03-02');
+      run = tracker.completeTask(run, routine, 'brush', {}, now);
+      run = tracker.skipTask(run, routine, 'stretch', { reason: 'Too tired' }, now);
+
+      expect(run.status).toBe('partial');
+      expect(run.endedAt).toBe(now);
+      expect(run.outcome).toMatchObject({ completedTasks: 1, skippedTasks: 1, completionRate: 50, actualDuration: 5 });
+    });
+
+    test('should reject resolving a task twice', () => {
+      const run = tracker.completeTask(tracker.createRun(routine, '2026-03-02'), routine, 'brush', {}, now);
+
+      expect(() => tracker.skipTask(run, routine, 'brush', {}, now)).toThrow('Task is already completed in this run');
+    });
+
+    test('should pick up tasks added to the routine after the run started', () => {
+      const run = tracker.createRun(routine, '2026-03-02');
+      routine.tasks.push({ id: 'water', title: 'Drink water', estimatedDuration: 1 });
+
+      const updated = tracker.completeTask(run, routine, 'water', {}, now);
+      expect(updated.tasks).toHaveLength(3);
+      expect(() => tracker.completeTask(run, routine, 'missing', {}, now)).toThrow('Task not found in routine');
+    });
+  });
+
+  describe('Analytics', () => {
+    const finish = (date, statuses) => {
+      let run = tracker.createRun(routine, date);
+      statuses.forEach((status, index) => {
+        const taskId = routine.tasks[index].id;
+        run = status === 'completed'
+          ? tracker.completeTask(run, routine, taskId, {}, now)
+          : tracker.skipTask(run, routine, taskId, { reason: 'Forgot' }, now);
+      });
+      return run;
+    };
+
+    test('should compute completion rate over finished runs only', () => {
+      const runs = [
+        finish('2026-03-01', ['completed', 'completed']),
+        finish('2026-03-02', ['completed', 'skipped']),
+        finish('2026-03-03', ['skipped', 'skipped']),
+        tracker.createRun(routine, '2026-03-04')
+      ];
+
+      expect(tracker.analyze(runs)).toMatchObject({
+        totalRuns: 4,
+        finishedRuns: 3,
+        completedRuns: 1,
+        partialRuns: 1,
+        skippedRuns: 1,
+        completionRate: 33.33,
+        taskCompletionRate: 50
+      });
+    });
+
+    test('should flatten runs into history-like task entries', () => {
+      const entries = tracker.getTaskEntries([finish('2026-03-01', ['completed', 'skipped'])]);
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({ routineId: 'morning', taskId: 'brush', date: '2026-03-01' });
+      expect(entries[1].skipReason).toBe('Forgot');
+      expect(entries[1].skippedAt).toBeInstanceOf(Date);
+    });
+  });
+});
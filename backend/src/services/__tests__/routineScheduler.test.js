@@ -0,0 +1,107 @@
+const RoutineScheduler = require('../routineScheduler');
+
+describe('RoutineScheduler', () => {
+  let scheduler;
+  const routine = overrides => ({
+    id: 'r1',
+    title: 'Morning routine',
+    scheduleType: 'daily',
+    scheduleDays: [],
+    scheduleDate: null,
+    customSchedule: null,
+    startTime: '07:30',
+    tasks: [
+      { id: 't1', title: 'Stretch', estimatedDuration: 10, bufferTime: 5 },
+      { id: 't2', title: 'Breakfast', estimatedDuration: 15, bufferTime: 0 }
+    ],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    scheduler = new RoutineScheduler();
+  });
+
+  describe('Schedule Types', () => {
+    // 2026-03-02 is a Monday
+    test('should expand daily routines, optionally limited to some days', () => {
+      expect(scheduler.getOccurrenceDates(routine(), '2026-03-02', '2026-03-04')).toHaveLength(3);
+      expect(scheduler.getOccurrenceDates(routine({ scheduleDays: ['monday', 'Wed'] }), '2026-03-02', '2026-03-08'))
+        .toEqual(['2026-03-02', '2026-03-04']);
+    });
+
+    test('should handle weekdays, weekends and weekly routines', () => {
+      expect(scheduler.getOccurrenceDates(routine({ scheduleType: 'weekdays' }), '2026-03-02', '2026-03-08')).toHaveLength(5);
+      expect(scheduler.getOccurrenceDates(routine({ scheduleType: 'weekends' }), '2026-03-02', '2026-03-08'))
+        .toEqual(['2026-03-07', '2026-03-08']);
+      expect(scheduler.getOccurrenceDates(routine({ scheduleType: 'weekly', scheduleDays: [5] }), '2026-03-01', '2026-03-14'))
+        .toEqual(['2026-03-06', '2026-03-13']);
+    });
+
+    test('should anchor weekly and monthly routines without days to their creation date', () => {
+      // 2026-10-01 is a Thursday
+      const weekly = routine({ scheduleType: 'weekly', createdAt: { toDate: () => new Date('2026-09-24T10:00:00Z') } });
+      expect(scheduler.getOccurrenceDates(weekly, '2026-10-01', '2026-10-07')).toEqual(['2026-10-01']);
+      expect(scheduler.getOccurrenceDates(routine({ scheduleType: 'weekly' }), '2026-10-01', '2026-10-07')).toEqual([]);
+
+      const monthly = routine({ scheduleType: 'monthly', createdAt: '2026-09-05T10:00:00Z' });
+      expect(scheduler.getOccurrenceDates(monthly, '2026-10-01', '2026-10-31')).toEqual(['2026-10-05']);
+      expect(scheduler.getOccurrenceDates(routine({ scheduleType: 'monthly' }), '2026-10-01', '2026-10-31')).toEqual([]);
+    });
+
+    test('should clamp monthly days to short months', () => {
+      const monthly = routine({ scheduleType: 'monthly', scheduleDays: [31] });
+      expect(scheduler.getOccurrenceDates(monthly, '2026-02-01', '2026-03-31')).toEqual(['2026-02-28', '2026-03-31']);
+    });
+
+    test('should schedule one-off routines and respect the start date', () => {
+      expect(scheduler.getOccurrenceDates(routine({ scheduleType: 'once', scheduleDate: '2026-03-03' }), '2026-03-01', '2026-03-31'))
+        .toEqual(['2026-03-03']);
+      expect(scheduler.getOccurrenceDates(routine({ scheduleDate: '2026-03-30' }), '2026-03-01', '2026-03-31'))
+        .toEqual(['2026-03-30', '2026-03-31']);
+    });
+
+    test('should expand custom recurrence rules', () => {
+      const custom = routine({ scheduleType: 'custom', scheduleDate: '2026-03-02', customSchedule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO' });
+      expect(scheduler.getOccurrenceDates(custom, '2026-03-01', '2026-03-31')).toEqual(['2026-03-02', '2026-03-16', '2026-03-30']);
+      expect(scheduler.getOccurrenceDates(routine({ scheduleType: 'custom', customSchedule: 'nonsense' }), '2026-03-01', '2026-03-31')).toEqual([]);
+    });
+
+    test('should skip templates', () => {
+      expect(scheduler.getOccurrenceDates(routine({ isTemplate: true }), '2026-03-02', '2026-03-04')).toEqual([]);
+    });
+  });
+
+  describe('Time Zones', () => {
+    test('should place start times in the user time zone', () => {
+      const [item] = scheduler.expandRoutine(routine(), '2026-03-02', '2026-03-02', 'America/New_York');
+
+      expect(item.start).toBe('2026-03-02T12:30:00.000Z');
+      expect(item.end).toBe('2026-03-02T13:00:00.000Z'); // 30 minutes including buffers
+      expect(item.allDay).toBe(false);
+    });
+
+    test('should follow daylight saving changes', () => {
+      // US clocks move forward on 2026-03-08
+      const items = scheduler.expandRoutine(routine(), '2026-03-07', '2026-03-08', 'America/New_York');
+      expect(items.map(item => item.start)).toEqual(['2026-03-07T12:30:00.000Z', '2026-03-08T11:30:00.000Z']);
+    });
+
+    test('should wrap end times past midnight and mark untimed routines all-day', () => {
+      const [night] = scheduler.expandRoutine(routine({ startTime: '23:00', endTime: '00:30' }), '2026-03-02', '2026-03-02');
+      expect(night.end).toBe('2026-03-03T00:30:00.000Z');
+
+      const [untimed] = scheduler.expandRoutine(routine({ startTime: '' }), '2026-03-02', '2026-03-02', 'Asia/Tokyo');
+      expect(untimed.allDay).toBe(true);
+      expect(untimed.start).toBe('2026-03-01T15:00:00.000Z');
+    });
+  });
+
+  describe('Range Validation', () => {
+    test('should reject invalid or oversized ranges', () => {
+      expect(scheduler.validateRange('2026-03-01', '2026-03-07')).toBe(7);
+      expect(() => scheduler.validateRange('2026-03-07', '2026-03-01')).toThrow('to must not be before from');
+      expect(() => scheduler.validateRange('03/01/2026', '2026-03-07')).toThrow('YYYY-MM-DD');
+      expect(() => scheduler.validateRange('2026-01-01', '2026-12-31')).toThrow('cannot exceed 62 days');
+    });
+  });
+});
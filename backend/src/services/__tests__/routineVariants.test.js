@@ -0,0 +1,99 @@
+const RoutineVariants = require('../routineVariants');
+const RoutineRunTracker = require('../routineRuns');
+
+describe('RoutineVariants', () => {
+  let variants;
+  let routine;
+
+  beforeEach(() => {
+    variants = new RoutineVariants();
+    routine = {
+      id: 'evening',
+      title: 'Evening routine',
+      tasks: [
+        { id: 'dishes', title: 'Dishes', estimatedDuration: 15 },
+        { id: 'shower', title: 'Shower', estimatedDuration: 15 },
+        { id: 'meds', title: 'Take meds', estimatedDuration: 2 },
+        { id: 'read', title: 'Read', estimatedDuration: 20 }
+      ]
+    };
+    routine.variants = variants.normalize({
+      reduced: [{ taskId: 'meds' }, { taskId: 'dishes', estimatedDuration: 5 }, 'shower'],
+      minimum: { tasks: [{ index: 2 }] }
+    }, routine.tasks);
+  });
+
+  describe('Normalization', () => {
+    test('should resolve task references in routine order', () => {
+      expect(routine.variants.reduced.tasks).toEqual([
+        { taskId: 'dishes', estimatedDuration: 5 },
+        { taskId: 'shower', estimatedDuration: 15 },
+        { taskId: 'meds', estimatedDuration: 2 }
+      ]);
+      expect(routine.variants.minimum.tasks).toEqual([{ taskId: 'meds', estimatedDuration: 2 }]);
+    });
+
+    test('should never lengthen a task', () => {
+      const normalized = variants.normalize({ reduced: [{ taskId: 'meds', estimatedDuration: 30 }] }, routine.tasks);
+      expect(normalized.reduced.tasks[0].estimatedDuration).toBe(2);
+    });
+
+    test('should reject invalid definitions', () => {
+      expect(() => variants.normalize({ tiny: ['meds'] }, routine.tasks)).toThrow('Unknown routine variant');
+      expect(() => variants.normalize({ minimum: ['missing'] }, routine.tasks)).toThrow('not in the routine');
+      expect(() => variants.normalize({ minimum: [] }, routine.tasks)).toThrow('at least one task');
+    });
+
+    test('should drop removed tasks when not strict', () => {
+      const normalized = variants.normalize(routine.variants, routine.tasks.slice(0, 2), { strict: false });
+      expect(normalized).toEqual({ reduced: { tasks: [{ taskId: 'dishes', estimatedDuration: 5 }, { taskId: 'shower', estimatedDuration: 15 }] } });
+    });
+  });
+
+  describe('Selection', () => {
+    test('should pick a variant from the energy level', () => {
+      expect(variants.select(routine, 8)).toBe('full');
+      expect(variants.select(routine, 5)).toBe('reduced');
+      expect(variants.select(routine, 2)).toBe('minimum');
+      expect(variants.select(routine, null)).toBe('full');
+    });
+
+    test('should fall back to a heavier variant the routine defines', () => {
+      const reducedOnly = { ...routine, variants: { reduced: routine.variants.reduced } };
+      expect(variants.select(reducedOnly, 2)).toBe('reduced');
+      expect(variants.select({ ...routine, variants: null }, 2)).toBe('full');
+    });
+
+    test('should build run options with shortened tasks', () => {
+      const options = variants.buildRunOptions(routine, { energyLevel: 5, energySource: 'mood' });
+
+      expect(options.variant).toBe('reduced');
+      expect(options.energySource).toBe('mood');
+      expect(options.tasks.map(task => task.estimatedDuration)).toEqual([5, 15, 2]);
+      expect(options.minimumTaskIds).toEqual(['meds']);
+      expect(() => variants.buildRunOptions({ ...routine, variants: null }, { variant: 'minimum' })).toThrow('no "minimum" variant');
+    });
+  });
+
+  describe('Run Outcomes', () => {
+    const tracker = new RoutineRunTracker();
+
+    test('should count a completed bare-minimum run as a partial success', () => {
+      let run = tracker.createRun(routine, '2026-03-02', variants.buildRunOptions(routine, { energyLevel: 2 }));
+      run = tracker.completeTask(run, routine, 'meds');
+
+      expect(run.status).toBe('completed');
+      expect(run.outcome.success).toBe('partial');
+      expect(tracker.analyze([run])).toMatchObject({ completedRuns: 0, partialSuccessRuns: 1, successRate: 100 });
+    });
+
+    test('should count a full run that covered the bare minimum as a partial success', () => {
+      let run = tracker.createRun(routine, '2026-03-02', variants.buildRunOptions(routine, {}));
+      run = tracker.completeTask(run, routine, 'meds');
+      ['dishes', 'shower', 'read'].forEach(taskId => { run = tracker.skipTask(run, routine, taskId); });
+
+      expect(run.status).toBe('partial');
+      expect(run.outcome.success).toBe('partial');
+    });
+  });
+});
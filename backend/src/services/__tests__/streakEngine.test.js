@@ -0,0 +1,104 @@
+const StreakEngine = require('../streakEngine');
+
+describe('StreakEngine', () => {
+  let engine;
+  const record = (state, dates, options) =>
+    dates.reduce((current, date) => engine.recordActivity(current, date, options), state);
+
+  beforeEach(() => {
+    engine = new StreakEngine();
+  });
+
+  describe('Recording Activity', () => {
+    test('should count consecutive active days', () => {
+      const state = record(engine.createState('todos'), ['2026-03-01', '2026-03-02', '2026-03-03']);
+
+      expect(state).toMatchObject({ current: 3, longest: 3, startDate: '2026-03-01', lastActiveDate: '2026-03-03' });
+    });
+
+    test('should ignore repeated and older activity', () => {
+      const state = record(engine.createState('todos'), ['2026-03-02', '2026-03-02']);
+
+      expect(state.current).toBe(1);
+      expect(engine.recordActivity(state, '2026-03-01')).toBe(state);
+      expect(() => engine.recordActivity(state, '03/03/2026')).toThrow('YYYY-MM-DD');
+    });
+
+    test('should bridge a missed day with a grace day', () => {
+      const state = record(engine.createState('overall'), ['2026-03-01', '2026-03-03']);
+
+      expect(state).toMatchObject({ current: 2, graceDaysUsed: 1, history: [] });
+    });
+
+    test('should break the streak when the gap exceeds the grace days', () => {
+      const state = record(engine.createState('overall'), ['2026-03-01', '2026-03-02', '2026-03-05']);
+
+      expect(state).toMatchObject({ current: 1, longest: 2, startDate: '2026-03-05' });
+      expect(state.history).toEqual([
+        { startDate: '2026-03-01', endDate: '2026-03-02', length: 2, brokenOn: '2026-03-04' }
+      ]);
+    });
+
+    test('should respect configured grace days', () => {
+      const strict = record(engine.createState('overall'), ['2026-03-01', '2026-03-03'], { graceDays: 0 });
+      const lenient = record(engine.createState('overall'), ['2026-03-01', '2026-03-04'], { graceDays: 2 });
+
+      expect(strict.current).toBe(1);
+      expect(lenient.current).toBe(2);
+      expect(() => engine.normalizeGraceDays(9)).toThrow('Grace days');
+    });
+  });
+
+  describe('Streak Freezes', () => {
+    test('should earn a freeze every week and spend it on a longer gap', () => {
+      const week = ['01', '02', '03', '04', '05', '06', '07'].map(day => `2026-03-${day}`);
+      let state = record(engine.createState('overall'), week);
+
+      expect(state).toMatchObject({ current: 7, freezes: 1, freezesEarned: 1 });
+
+      // Two missed days: one grace day plus one freeze
+      state = engine.recordActivity(state, '2026-03-10');
+      expect(state).toMatchObject({ current: 8, freezes: 0, freezesUsed: 1 });
+    });
+
+    test('should cap the number of stored freezes', () => {
+      const dates = Array.from({ length: 28 }, (_, index) => `2026-02-${String(index + 1).padStart(2, '0')}`);
+      const state = record(engine.createState('overall'), dates);
+
+      expect(state.freezes).toBe(2);
+    });
+  });
+
+  describe('Schedules', () => {
+    test('should only miss scheduled days', () => {
+      // Monday, Wednesday and Friday routine
+      const scheduled = new Set(['2026-03-02', '2026-03-04', '2026-03-06', '2026-03-09']);
+      const isScheduled = date => scheduled.has(date);
+      const state = record(engine.createState('routine_r1', { type: 'routine', routineId: 'r1' }),
+        ['2026-03-02', '2026-03-04', '2026-03-06', '2026-03-09'], { graceDays: 0, isScheduled });
+
+      expect(state.current).toBe(4);
+      expect(engine.getStatus(state, '2026-03-10', { graceDays: 0, isScheduled }).current).toBe(4);
+    });
+  });
+
+  describe('Status and History', () => {
+    test('should report a streak at risk before it breaks', () => {
+      const state = record(engine.createState('overall'), ['2026-03-01', '2026-03-02']);
+
+      expect(engine.getStatus(state, '2026-03-02')).toMatchObject({ current: 2, activeToday: true, atRisk: false });
+      expect(engine.getStatus(state, '2026-03-03')).toMatchObject({ current: 2, activeToday: false, atRisk: false });
+      expect(engine.getStatus(state, '2026-03-04')).toMatchObject({ current: 2, atRisk: true });
+      expect(engine.getStatus(state, '2026-03-05')).toMatchObject({ current: 0, brokenOn: '2026-03-04', longest: 2 });
+    });
+
+    test('should list every break in the history', () => {
+      const state = record(engine.createState('overall'), ['2026-03-01', '2026-03-05', '2026-03-06']);
+      const history = engine.getHistory(state, '2026-03-20');
+
+      expect(history).toMatchObject({ current: 0, longest: 2 });
+      expect(history.brokenOn).toEqual(['2026-03-03', '2026-03-08']);
+      expect(history.streaks.map(streak => streak.length)).toEqual([1, 2]);
+    });
+  });
+});
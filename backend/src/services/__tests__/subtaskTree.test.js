@@ -0,0 +1,109 @@
+const SubtaskTree = require('../subtaskTree');
+
+describe('SubtaskTree', () => {
+  let subtaskTree;
+  let tree;
+
+  beforeEach(() => {
+    subtaskTree = new SubtaskTree({ maxDepth: 3 });
+    tree = subtaskTree.normalize([
+      {
+        id: 'kitchen',
+        title: 'Clean kitchen',
+        subtasks: [
+          { id: 'dishes', title: 'Load dishwasher', duration: 10 },
+          { id: 'counters', title: 'Wipe counters', duration: 5 }
+        ]
+      },
+      { id: 'trash', title: 'Take out trash', duration: 5 }
+    ]);
+  });
+
+  describe('Normalization', () => {
+    test('should assign IDs, order and progress', () => {
+      const normalized = subtaskTree.normalize([{ title: 'First' }, { title: 'Second', order: 0 }]);
+
+      expect(normalized[0].title).toBe('Second');
+      expect(normalized[1].order).toBe(1);
+      expect(normalized[0].id).toMatch(/^subtask_/);
+      expect(normalized[0].progress.totalSteps).toBe(1);
+    });
+
+    test('should derive branch duration from children', () => {
+      expect(tree[0].duration).toBe(15);
+      expect(tree[0].progress.totalSteps).toBe(2);
+    });
+
+    test('should reject invalid trees', () => {
+      expect(() => subtaskTree.normalize('nope')).toThrow('Subtasks must be an array');
+      expect(() => subtaskTree.normalize([{ duration: 5 }])).toThrow('Each subtask must have a title');
+      expect(() => subtaskTree.normalize([
+        { title: 'a', subtasks: [{ title: 'b', subtasks: [{ title: 'c', subtasks: [{ title: 'd' }] }] }] }
+      ])).toThrow('nested more than 3 levels');
+      expect(() => subtaskTree.normalize([
+        { id: 'a', title: 'First' },
+        { id: 'b', title: 'Second', subtasks: [{ id: 'a', title: 'Nested copy' }] }
+      ])).toThrow('Subtask IDs must be unique (a is used more than once)');
+    });
+  });
+
+  describe('Mutations', () => {
+    test('should add a nested subtask at a position', () => {
+      const updated = subtaskTree.addSubtask(tree, 'kitchen', { title: 'Clear table', duration: 3 }, 0);
+
+      expect(updated[0].subtasks.map(s => s.title)).toEqual(['Clear table', 'Load dishwasher', 'Wipe counters']);
+      expect(tree[0].subtasks).toHaveLength(2); // Original untouched
+    });
+
+    test('should reorder siblings', () => {
+      const updated = subtaskTree.updateSubtask(tree, 'trash', { order: 0 });
+      expect(updated.map(s => s.id)).toEqual(['trash', 'kitchen']);
+    });
+
+    test('should remove a branch', () => {
+      const updated = subtaskTree.removeSubtask(tree, 'kitchen');
+      expect(updated.map(s => s.id)).toEqual(['trash']);
+    });
+
+    test('should throw for unknown subtasks', () => {
+      expect(() => subtaskTree.updateSubtask(tree, 'missing', { completed: true })).toThrow('Subtask not found');
+      expect(() => subtaskTree.addSubtask(tree, 'missing', { title: 'x' })).toThrow('Parent subtask not found');
+    });
+  });
+
+  describe('Progress Roll-up', () => {
+    test('should complete a branch when its last child completes', () => {
+      let updated = subtaskTree.updateSubtask(tree, 'dishes', { completed: true });
+      expect(updated[0].completed).toBe(false);
+      expect(updated[0].progress.percentage).toBe(50);
+
+      updated = subtaskTree.updateSubtask(updated, 'counters', { completed: true });
+      expect(updated[0].completed).toBe(true);
+      expect(subtaskTree.isComplete(updated)).toBe(false);
+    });
+
+    test('should complete descendants when a branch is completed', () => {
+      const updated = subtaskTree.updateSubtask(tree, 'kitchen', { completed: true });
+      expect(updated[0].subtasks.every(s => s.completed)).toBe(true);
+    });
+
+    test('should summarize progress for the whole tree', () => {
+      const updated = subtaskTree.updateSubtask(tree, 'trash', { completed: true });
+      const progress = subtaskTree.calculateProgress(updated);
+
+      expect(progress).toEqual({
+        completedSteps: 1,
+        totalSteps: 3,
+        completedDuration: 5,
+        totalDuration: 20,
+        percentage: 33
+      });
+    });
+
+    test('should report completion only for non-empty trees', () => {
+      expect(subtaskTree.isComplete([])).toBe(false);
+      const done = subtaskTree.updateSubtask(subtaskTree.updateSubtask(tree, 'kitchen', { completed: true }), 'trash', { completed: true });
+      expect(subtaskTree.isComplete(done)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const TodoBreakdown = require('../todoBreakdown');
+
+describe('TodoBreakdown', () => {
+  let breakdown;
+
+  beforeEach(() => {
+    breakdown = new TodoBreakdown();
+  });
+
+  describe('Normalization', () => {
+    test('should keep titled steps with durations clamped to 1-25 minutes', () => {
+      expect(breakdown.normalizeSteps([
+        { title: '  Open the laptop ', duration: 2 },
+        { title: '', duration: 5 },
+        null,
+        { title: 'Write the intro', duration: 90 },
+        { title: 'Stretch', duration: 'soon' },
+        { title: 'Blink', duration: 0.2 }
+      ])).toEqual([
+        { title: 'Open the laptop', duration: 2 },
+        { title: 'Write the intro', duration: 25 },
+        { title: 'Stretch', duration: 5 },
+        { title: 'Blink', duration: 1 }
+      ]);
+      expect(breakdown.normalizeSteps('not a list')).toEqual([]);
+    });
+
+    test('should cap breakdowns at 10 steps and need at least 3', () => {
+      const steps = breakdown.normalizeSteps(Array.from({ length: 12 }, (_, i) => ({ title: `Step ${i}`, duration: 3 })));
+
+      expect(steps).toHaveLength(10);
+      expect(breakdown.getTotalDuration(steps)).toBe(30);
+      expect(breakdown.isUsable(steps)).toBe(true);
+      expect(breakdown.isUsable(steps.slice(0, 2))).toBe(false);
+    });
+  });
+
+  describe('Accepting', () => {
+    const proposal = {
+      type: 'todo_breakdown',
+      todoId: 'todo1',
+      status: 'proposed',
+      response: { steps: [{ title: 'Find the form', duration: 3 }, { title: 'Fill it in', duration: 15 }] }
+    };
+
+    test('should add the proposed steps under the chosen parent', () => {
+      expect(breakdown.prepareAccept(proposal, { parentSubtaskId: 'sub1' })).toEqual({
+        acceptedSteps: [{ title: 'Find the form', duration: 3 }, { title: 'Fill it in', duration: 15 }],
+        addSubtasks: [
+          { title: 'Find the form', duration: 3, parentId: 'sub1' },
+          { title: 'Fill it in', duration: 15, parentId: 'sub1' }
+        ]
+      });
+    });
+
+    test('should prefer steps edited by the user and reject an empty list', () => {
+      const { addSubtasks } = breakdown.prepareAccept(proposal, { steps: [{ title: 'Just find the form', duration: 40 }] });
+
+      expect(addSubtasks).toEqual([{ title: 'Just find the form', duration: 25, parentId: null }]);
+      expect(() => breakdown.prepareAccept(proposal, { steps: [{ title: ' ' }] })).toThrow('At least one step is required');
+      expect(() => breakdown.prepareAccept({ ...proposal, response: {} })).toThrow('At least one step is required');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const WeeklyReport = require('../weeklyReport');
+const ActivityRollups = require('../activityRollups');
+
+describe('WeeklyReport', () => {
+  let reports;
+  const rollups = new ActivityRollups();
+  const routines = new Map([['morning', { id: 'morning', title: 'Morning routine' }]]);
+  const scoreMood = mood => ({ happy: 8, anxious: 3 })[mood] || 5;
+  const runs = [
+    { date: '2026-03-02', routineId: 'morning', status: 'completed', tasks: [{ taskId: 'a', title: 'Stretch', status: 'completed' }] },
+    ...['2026-03-03', '2026-03-04'].map(date => ({
+      date,
+      routineId: 'morning',
+      status: 'skipped',
+      tasks: [{ taskId: 'a', title: 'Stretch', status: 'skipped', skipReason: 'Overslept' }]
+    }))
+  ];
+
+  const buildReport = (overrides = {}) => {
+    const range = reports.resolveWeek('2026-W10', '2026-03-10');
+    return reports.build({
+      range,
+      rollups: rollups.buildRollups(range.from, range.to, 'UTC', {
+        todos: [{ completed: true, completedAt: '2026-03-03T10:00:00Z' }],
+        runs,
+        journalEntries: [{ mood: 'happy', createdAt: '2026-03-04T10:00:00Z' }]
+      }),
+      previousRollups: rollups.buildRollups(range.previousFrom, range.previousTo, 'UTC', {
+        journalEntries: [{ mood: 'anxious', createdAt: '2026-02-25T10:00:00Z' }]
+      }),
+      completedTodos: [{ id: 't1', title: 'File <taxes>', completed: true, completedAt: '2026-03-03T10:00:00Z' }],
+      openTodos: [
+        { id: 't2', title: 'Call dentist', dueDate: '2026-03-06' },
+        { id: 't3', title: 'Someday', dueDate: '2026-06-01' }
+      ],
+      runs,
+      routines,
+      streaks: [{ key: 'overall', type: 'overall', current: 4, longest: 9, atRisk: true, brokenOn: null }],
+      estimation: {
+        message: 'Your estimates are typically 1.6x too short',
+        reliable: true,
+        overall: { ratio: 1.6, direction: 'under', samples: 12 }
+      },
+      insights: [1, 2, 3, 4].map(index => ({ type: 'pattern', title: `Insight ${index}`, message: 'Message', priority: 'low' })),
+      scoreMood,
+      generatedAt: new Date('2026-03-08T18:00:00Z'),
+      ...overrides
+    });
+  };
+
+  beforeEach(() => {
+    reports = new WeeklyReport();
+  });
+
+  describe('Weeks', () => {
+    test('should resolve ISO weeks and dates to Monday..Sunday', () => {
+      expect(reports.resolveWeek('2026-W10', '2026-03-10')).toMatchObject({ week: '2026-W10', from: '2026-03-02', to: '2026-03-08', complete: true });
+      expect(reports.resolveWeek('2026-03-05', '2026-03-10').week).toBe('2026-W10');
+      expect(reports.resolveWeek(undefined, '2026-03-08')).toMatchObject({ from: '2026-03-02', complete: false });
+      expect(reports.getWeekId('2027-01-01')).toBe('2026-W53');
+      expect(reports.getWeekId('2024-12-30')).toBe('2025-W01');
+    });
+
+    test('should reject invalid and future weeks', () => {
+      expect(() => reports.resolveWeek('2026-W54', '2026-03-10')).toThrow('not a valid ISO week');
+      expect(() => reports.resolveWeek('last week', '2026-03-10')).toThrow('YYYY-Www');
+      expect(() => reports.resolveWeek('2026-W12', '2026-03-10')).toThrow('future');
+      expect(() => reports.resolveWeek('2024-W01', '2026-03-10')).toThrow('last 52 weeks');
+    });
+
+    test('should deliver on the next Sunday at the chosen local hour', () => {
+      // Sunday 2026-03-08 is after the US switch to daylight saving time
+      expect(reports.getNextDelivery(new Date('2026-03-04T12:00:00Z'), 'America/New_York', 18).toISOString())
+        .toBe('2026-03-08T22:00:00.000Z');
+      expect(reports.getNextDelivery(new Date('2026-03-08T19:00:00Z'), 'UTC', 18).toISOString())
+        .toBe('2026-03-15T18:00:00.000Z');
+      expect(() => reports.normalizeHour(24)).toThrow('between 0 and 23');
+    });
+  });
+
+  describe('Building', () => {
+    test('should collect wins, skips, mood trend and the top insights', () => {
+      const report = buildReport();
+
+      expect(report.summary).toMatchObject({ todosCompleted: 1, routinesCompleted: 1, routineSteps: 1, skippedSteps: 2, completed: 2 });
+      expect(report.wins.routines).toEqual([{ routineId: 'morning', title: 'Morning routine', date: '2026-03-02', success: 'full' }]);
+      expect(report.skipped).toHaveLength(1);
+      expect(report.skipped[0]).toMatchObject({ reason: 'Overslept', count: 2 });
+      expect(report.mood).toMatchObject({ trend: 'improving', mostCommon: 'happy', averageScore: 8, previousAverageScore: 3 });
+      expect(report.insights).toHaveLength(3);
+    });
+
+    test('should suggest carry-overs for next week', () => {
+      const types = buildReport().carryOver.map(item => item.type);
+
+      expect(types).toEqual(['todo', 'routine_task', 'streak', 'estimation']);
+      expect(buildReport().carryOver[0].message).toBe('Carry over "Call dentist" (was due 2026-03-06)');
+    });
+  });
+
+  describe('Rendering', () => {
+    test('should render Markdown sections', () => {
+      const markdown = reports.toMarkdown(buildReport());
+
+      expect(markdown).toContain('# Weekly review: 2026-03-02 to 2026-03-08');
+      expect(markdown).toContain('- ✅ File \\<taxes\\> (2026-03-03)');
+      expect(markdown).toContain('- Overslept (2)');
+      expect(markdown).toContain('## Next week');
+    });
+
+    test('should render escaped HTML', () => {
+      const html = reports.toHtml(buildReport());
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('File &lt;taxes&gt; (2026-03-03)');
+      expect(html).not.toContain('<taxes>');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const zlib = require('zlib');
+const ZipArchive = require('../zipArchive');
+
+describe('ZipArchive', () => {
+  // Read entries back through the central directory
+  const readEntries = buffer => {
+    const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const entries = {};
+
+    for (let i = 0; i < count; i++) {
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  };
+
+  test('should compute standard CRC-32 checksums', () => {
+    expect(new ZipArchive().crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('should write entries that read back intact', () => {
+    const archive = new ZipArchive()
+      .addFile('json/todos.json', JSON.stringify([{ title: 'Café' }]))
+      .addFile('csv/todos.csv', 'title\r\n'.repeat(200))
+      .addFile('empty.txt', '');
+
+    const entries = readEntries(archive.toBuffer());
+
+    expect(Object.keys(entries)).toEqual(['json/todos.json', 'csv/todos.csv', 'empty.txt']);
+    expect(JSON.parse(entries['json/todos.json'])[0].title).toBe('Café');
+    expect(entries['csv/todos.csv']).toHaveLength(1400);
+    expect(entries['empty.txt']).toBe('');
+  });
+
+  test('should reject entry names that escape the archive', () => {
+    expect(() => new ZipArchive().addFile('../etc/passwd', 'x')).toThrow('Invalid zip entry name');
+    expect(() => new ZipArchive().addFile('/absolute', 'x')).toThrow('Invalid zip entry name');
+  });
+});
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+
+/**
+ * Account Erasure
+ * Plans and drives the deletion of everything stored for an account as an
+ * ordered list of steps. Each step records its own status and how many
+ * records it removed, so a request that fails halfway resumes at the step
+ * that failed instead of starting over. Completed requests get a receipt
+ * signed with HMAC-SHA256 that names the account only by a hash of its id.
+ */
+class AccountErasure {
+  constructor(config = {}) {
+    this.config = {
+      signingKey: config.signingKey || process.env.DELETION_RECEIPT_KEY,
+      keyId: process.env.DELETION_RECEIPT_KEY_ID || 'default',
+      batchSize: 400,
+      subcollections: [
+        'todos',
+        'routines',
+        'routineRuns',
+        'routineHistory',
+        'journal',
+        'streaks',
+        'dailyRollups',
+        'notifications',
+        'devices',
+        'notificationJobs',
+        'notificationPartners',
+        'notificationRateLimits',
+        'aiRequests',
+        'aiInsights',
+        'estimation',
+        'reports',
+        'exports'
+      ],
+      ...config
+    };
+  }
+
+  /**
+   * Whether receipts can be signed. A per-process key would make receipts
+   * unverifiable after a restart or on another instance, so there is no
+   * fallback and erasure is unavailable until DELETION_RECEIPT_KEY is set.
+   */
+  isConfigured() {
+    return Boolean(this.config.signingKey);
+  }
+
+  /**
+   * Steps in the order they run. Calendar access is revoked first, while the
+   * tokens are still on the profile; the profile and sign-in go last so a
+   * failed request can always be found and resumed for the account.
+   */
+  getSteps() {
+    return [
+      'calendar',
+      ...this.config.subcollections.map(name => `collection:${name}`),
+      'otherCollections',
+      'coachConversations',
+      'focusSessions',
+      'sharedTemplates',
+      'exportFiles',
+      'logs',
+      'profile',
+      'auth'
+    ];
+  }
+
+  createRequest(userId, { reason = 'user_request', requestedAt = new Date() } = {}) {
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    return {
+      userId,
+      reason,
+      status: 'pending',
+      steps: this.getSteps().map(name => ({ name, status: 'pending', deleted: 0, error: null })),
+      attempts: 0,
+      requestedAt: requestedAt.toISOString(),
+      startedAt: null,
+      completedAt: null,
+      error: null,
+      receipt: null
+    };
+  }
+
+  /**
+   * Run every step that has not completed yet. `handlers` maps step names to
+   * async functions `(progress, step)` that return the number of records
+   * removed; `collection:*` steps use `handlers.collection(name, progress)`.
+   * Handlers may call `progress(deleted)` after each batch, and every change
+   * is passed to `onProgress(request)` so the caller can persist it.
+   * A failing step stops the run and leaves the request `failed`.
+   */
+  async run(request, handlers, { onProgress = async () => {}, now = () => new Date() } = {}) {
+    request.status = 'running';
+    request.attempts = (request.attempts || 0) + 1;
+    request.startedAt = request.startedAt || now().toISOString();
+    request.error = null;
+    await onProgress(request);
+
+    for (const step of request.steps) {
+      if (step.status === 'completed') continue;
+
+      const baseline = step.deleted || 0;
+      const progress = async deleted => {
+        step.deleted = baseline + deleted;
+        await onProgress(request);
+      };
+
+      step.status = 'running';
+      step.error = null;
+      await onProgress(request);
+
+      try {
+        const deleted = await this.runStep(step, handlers, progress);
+        step.deleted = baseline + (deleted || 0);
+        step.status = 'completed';
+        step.completedAt = now().toISOString();
+        await onProgress(request);
+      } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+        request.status = 'failed';
+        request.error = `${step.name}: ${error.message}`;
+        await onProgress(request);
+        return request;
+      }
+    }
+
+    request.status = 'completed';
+    request.completedAt = now().toISOString();
+    request.receipt = this.buildReceipt(request);
+    await onProgress(request);
+    return request;
+  }
+
+  runStep(step, handlers, progress) {
+    if (step.name.startsWith('collection:')) {
+      return handlers.collection(step.name.slice('collection:'.length), progress, step);
+    }
+    if (typeof handlers[step.name] !== 'function') {
+      throw new Error(`No handler for step ${step.name}`);
+    }
+    return handlers[step.name](progress, step);
+  }
+
+  /**
+   * Signed record of a completed erasure
+   */
+  buildReceipt(request) {
+    const receipt = {
+      requestId: request.id || null,
+      subject: this.hashUserId(request.userId),
+      reason: request.reason,
+      requestedAt: request.requestedAt,
+      completedAt: request.completedAt,
+      steps: request.steps.map(step => ({ name: step.name, deleted: step.deleted })),
+      totalDeleted: request.steps.reduce((sum, step) => sum + step.deleted, 0),
+      algorithm: 'HMAC-SHA256',
+      keyId: this.config.keyId
+    };
+    return { ...receipt, signature: this.sign(receipt) };
+  }
+
+  verifyReceipt(receipt) {
+    if (!receipt || typeof receipt.signature !== 'string') return false;
+
+    const { signature, ...payload } = receipt;
+    const expected = Buffer.from(this.sign(payload), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Lets an account holder check a receipt against their own id
+   */
+  hashUserId(userId) {
+    return crypto.createHash('sha256').update(String(userId)).digest('hex');
+  }
+
+  sign(payload) {
+    if (!this.isConfigured()) {
+      throw new Error('DELETION_RECEIPT_KEY must be set to sign account deletion receipts');
+    }
+    return crypto.createHmac('sha256', this.config.signingKey).update(this.canonicalize(payload)).digest('hex');
+  }
+
+  /**
+   * JSON with object keys sorted, so signatures survive a round trip
+   * through storage that reorders fields
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+}
+
+module.exports = AccountErasure;
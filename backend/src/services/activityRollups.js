@@ -0,0 +1,390 @@
+const RoutineRunTracker = require('./routineRuns');
+const { getLocalDateString, eachDate, isDateString } = require('../utils/timeZoneUtils');
+
+/**
+ * Activity Rollups
+ * Per-day aggregates of a user's activity keyed by local date: completions by
+ * type, skips by reason, focus minutes, mood samples and estimated vs actual
+ * minutes. Each source record (todo, routine run, focus session, journal
+ * entry) contributes a set of counters to one day; rollups are kept current
+ * by applying the difference between a record's old and new contribution,
+ * and can be rebuilt from raw records by summing contributions.
+ */
+class ActivityRollups {
+  constructor(config = {}) {
+    this.config = {
+      maxMonthsBack: 24,
+      maxRangeDays: 366,
+      maxKeyLength: 60,
+      ...config
+    };
+
+    this.tracker = new RoutineRunTracker();
+  }
+
+  /**
+   * Empty rollup for a local date
+   */
+  createRollup(date, timeZone = 'UTC') {
+    return {
+      date,
+      timeZone,
+      completions: {
+        todos: 0,
+        routineSteps: 0,
+        routines: 0 // Runs that reached full or partial success
+      },
+      skips: {
+        routineSteps: 0,
+        byReason: {}
+      },
+      byRoutine: {}, // routineId -> { completed, skipped } steps
+      focusMinutes: 0,
+      focusSessions: 0,
+      moods: {
+        count: 0,
+        byMood: {}
+      },
+      minutes: {
+        estimated: 0, // Only items with both an estimate and an actual time
+        actual: 0,
+        samples: 0
+      }
+    };
+  }
+
+  /**
+   * Counters a completed todo adds to the local day it was completed on
+   */
+  getTodoContribution(todo, timeZone) {
+    if (!todo || !todo.completed || !todo.completedAt) {
+      return null;
+    }
+
+    const counts = { 'completions.todos': 1 };
+    this.addMinutes(counts, todo.duration, todo.actualDuration);
+
+    return { date: getLocalDateString(this.tracker.toDate(todo.completedAt), timeZone), counts };
+  }
+
+  /**
+   * Counters a routine run adds to its run date
+   */
+  getRunContribution(run) {
+    if (!run || !run.date) {
+      return null;
+    }
+
+    const counts = {};
+    const add = (path, value = 1) => { counts[path] = (counts[path] || 0) + value; };
+    const routineKey = this.toKey(run.routineId);
+
+    for (const task of run.tasks || []) {
+      if (task.status === 'completed') {
+        add('completions.routineSteps');
+        add(`byRoutine.${routineKey}.completed`);
+        // Unmeasured steps default their actual time to the estimate
+        if (this.tracker.isDurationMeasured(task)) {
+          this.addMinutes(counts, task.estimatedDuration, task.actualDuration);
+        }
+      } else if (task.status === 'skipped') {
+        add('skips.routineSteps');
+        add(`skips.byReason.${this.toKey(task.skipReason || 'No reason provided')}`);
+        add(`byRoutine.${routineKey}.skipped`);
+      }
+    }
+
+    if (this.tracker.finishedStatuses.includes(run.status) && this.tracker.getSuccessLevel(run) !== 'none') {
+      add('completions.routines');
+    }
+
+    return { date: run.date, counts };
+  }
+
+  /**
+   * Counters a finished focus session adds to the local day it started on
+   */
+  getFocusContribution(session, timeZone) {
+    if (!session || !session.startTime || !session.endTime) {
+      return null;
+    }
+
+    return {
+      date: getLocalDateString(this.tracker.toDate(session.startTime), timeZone),
+      counts: {
+        focusSessions: 1,
+        focusMinutes: Math.round((session.focusSeconds ?? session.elapsedSeconds ?? 0) / 60)
+      }
+    };
+  }
+
+  /**
+   * Counters a journal entry's mood adds to the local day it was written on
+   */
+  getJournalContribution(entry, timeZone) {
+    if (!entry || !entry.mood || !entry.createdAt) {
+      return null;
+    }
+
+    return {
+      date: getLocalDateString(this.tracker.toDate(entry.createdAt), timeZone),
+      counts: {
+        'moods.count': 1,
+        [`moods.byMood.${this.toKey(String(entry.mood).toLowerCase())}`]: 1
+      }
+    };
+  }
+
+  /**
+   * Counter changes per day when a record's contribution changes from
+   * `before` to `after` (either may be null)
+   */
+  getDelta(before, after) {
+    const byDate = new Map();
+    const apply = (contribution, sign) => {
+      if (!contribution) return;
+      const counts = byDate.get(contribution.date) || {};
+      for (const [path, value] of Object.entries(contribution.counts)) {
+        counts[path] = (counts[path] || 0) + sign * value;
+      }
+      byDate.set(contribution.date, counts);
+    };
+
+    apply(before, -1);
+    apply(after, 1);
+
+    return [...byDate.entries()]
+      .map(([date, counts]) => ({
+        date,
+        counts: Object.fromEntries(Object.entries(counts).filter(([, value]) => value !== 0))
+      }))
+      .filter(delta => Object.keys(delta.counts).length > 0);
+  }
+
+  /**
+   * Add counters to a rollup in place
+   */
+  applyCounts(rollup, counts) {
+    for (const [path, value] of Object.entries(counts)) {
+      const keys = path.split('.');
+      const field = keys.pop();
+      const target = keys.reduce((node, key) => {
+        node[key] = node[key] || {};
+        return node[key];
+      }, rollup);
+      target[field] = (target[field] || 0) + value;
+    }
+    return rollup;
+  }
+
+  /**
+   * Nested update object for counters, with each value wrapped by
+   * `increment` (e.g. FieldValue.increment) for a merge write
+   */
+  toIncrements(counts, increment) {
+    const update = {};
+    for (const [path, value] of Object.entries(counts)) {
+      const keys = path.split('.');
+      const field = keys.pop();
+      const target = keys.reduce((node, key) => {
+        node[key] = node[key] || {};
+        return node[key];
+      }, update);
+      target[field] = increment(value);
+    }
+    return update;
+  }
+
+  /**
+   * Build rollups for every date from..to out of raw records
+   */
+  buildRollups(from, to, timeZone, { todos = [], runs = [], focusSessions = [], journalEntries = [] } = {}) {
+    const rollups = new Map(eachDate(from, to).map(date => [date, this.createRollup(date, timeZone)]));
+    const contributions = [
+      ...todos.map(todo => this.getTodoContribution(todo, timeZone)),
+      ...runs.map(run => this.getRunContribution(run)),
+      ...focusSessions.map(session => this.getFocusContribution(session, timeZone)),
+      ...journalEntries.map(entry => this.getJournalContribution(entry, timeZone))
+    ];
+
+    for (const contribution of contributions) {
+      const rollup = contribution && rollups.get(contribution.date);
+      if (rollup) {
+        this.applyCounts(rollup, contribution.counts);
+      }
+    }
+
+    return [...rollups.values()];
+  }
+
+  /**
+   * Totals over a list of rollups, in the rollup shape
+   */
+  sumRollups(rollups) {
+    const totals = this.createRollup(null);
+    delete totals.date;
+    delete totals.timeZone;
+
+    const addNode = (target, source) => {
+      for (const [key, value] of Object.entries(source || {})) {
+        if (typeof value === 'number') {
+          target[key] = (target[key] || 0) + value;
+        } else if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.toDate !== 'function') {
+          target[key] = target[key] || {};
+          addNode(target[key], value);
+        }
+      }
+    };
+
+    for (const rollup of rollups) {
+      const { date, timeZone, built, final, updatedAt, ...counters } = rollup;
+      addNode(totals, counters);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Weekly routine step completions over the last four weeks (oldest first)
+   * and whether they are improving, stable or declining
+   */
+  getTrend(rollups, today) {
+    const weeks = [0, 0, 0, 0];
+
+    for (const rollup of rollups) {
+      const daysAgo = Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${rollup.date}T00:00:00Z`)) / 86400000);
+      const weekIndex = Math.floor(daysAgo / 7);
+      if (daysAgo >= 0 && weekIndex < 4) {
+        weeks[3 - weekIndex] += rollup.completions?.routineSteps || 0;
+      }
+    }
+
+    if (weeks.reduce((sum, count) => sum + count, 0) < 4) {
+      return { trend: 'insufficient_data', weeklyData: weeks };
+    }
+
+    const firstHalf = (weeks[0] + weeks[1]) / 2;
+    const secondHalf = (weeks[2] + weeks[3]) / 2;
+
+    let trend = 'stable';
+    if (secondHalf > firstHalf * 1.2) {
+      trend = 'improving';
+    } else if (secondHalf < firstHalf * 0.8) {
+      trend = 'declining';
+    }
+
+    return { trend, weeklyData: weeks };
+  }
+
+  /**
+   * Validate a from..to date range
+   */
+  resolveRange(from, to) {
+    if (!isDateString(from) || !isDateString(to)) {
+      throw new Error('Dates must be in YYYY-MM-DD format');
+    }
+    if (to < from) {
+      throw new Error('to must not be before from');
+    }
+    const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000 + 1;
+    if (days > this.config.maxRangeDays) {
+      throw new Error(`Date range cannot exceed ${this.config.maxRangeDays} days`);
+    }
+    return { from, to };
+  }
+
+  /**
+   * Resolve the requested month: `month` as YYYY-MM, or `year` plus a 1-12
+   * `month`. Defaults to the month containing today.
+   */
+  resolveMonth({ year, month } = {}, today) {
+    let targetYear = parseInt(today.slice(0, 4));
+    let targetMonth = parseInt(today.slice(5, 7));
+
+    if (typeof month === 'string' && /^\d{4}-\d{2}$/.test(month)) {
+      [targetYear, targetMonth] = month.split('-').map(Number);
+    } else if (month !== undefined || year !== undefined) {
+      targetYear = year !== undefined ? parseInt(year) : targetYear;
+      targetMonth = month !== undefined ? parseInt(month) : targetMonth;
+    }
+
+    const from = `${targetYear}-${String(targetMonth).padStart(2, '0')}-01`;
+    if (!isDateString(from)) {
+      throw new Error('Month must be YYYY-MM, or a year with a month from 1 to 12');
+    }
+
+    const monthsBack = (parseInt(today.slice(0, 4)) - targetYear) * 12 + parseInt(today.slice(5, 7)) - targetMonth;
+    if (monthsBack > this.config.maxMonthsBack) {
+      throw new Error(`Monthly analytics are available for the last ${this.config.maxMonthsBack} months`);
+    }
+
+    const daysInMonth = new Date(Date.UTC(targetYear, targetMonth, 0)).getUTCDate();
+    return {
+      year: targetYear,
+      month: targetMonth,
+      from,
+      to: `${from.slice(0, 8)}${String(daysInMonth).padStart(2, '0')}`,
+      daysInMonth
+    };
+  }
+
+  /**
+   * Month view: per-day progress and totals from the month's rollups
+   */
+  summarizeMonth(rollups, { year, month, daysInMonth }) {
+    const dailyProgress = rollups.map(rollup => {
+      const { todos, routineSteps, routines } = rollup.completions;
+      return {
+        date: rollup.date,
+        day: parseInt(rollup.date.slice(8, 10)),
+        todos,
+        routines,
+        routineSteps,
+        focusMinutes: rollup.focusMinutes,
+        total: todos + routineSteps
+      };
+    });
+
+    const sum = field => dailyProgress.reduce((total, day) => total + day[field], 0);
+    const totalCompleted = sum('total');
+
+    return {
+      month,
+      year,
+      totalDays: daysInMonth,
+      dailyProgress,
+      summary: {
+        totalTodos: sum('todos'),
+        totalRoutines: sum('routines'),
+        totalRoutineSteps: sum('routineSteps'),
+        totalCompleted,
+        focusMinutes: sum('focusMinutes'),
+        activeDays: dailyProgress.filter(day => day.total > 0 || day.focusMinutes > 0).length,
+        averagePerDay: Math.round((totalCompleted / daysInMonth) * 10) / 10
+      }
+    };
+  }
+
+  /**
+   * Record estimated vs actual minutes when both are known
+   */
+  addMinutes(counts, estimated, actual) {
+    const estimate = Number(estimated);
+    const spent = Number(actual);
+    if (estimate > 0 && spent > 0) {
+      counts['minutes.estimated'] = (counts['minutes.estimated'] || 0) + estimate;
+      counts['minutes.actual'] = (counts['minutes.actual'] || 0) + spent;
+      counts['minutes.samples'] = (counts['minutes.samples'] || 0) + 1;
+    }
+  }
+
+  /**
+   * Make a free-text value (skip reason, mood, ID) safe as a map key
+   */
+  toKey(value) {
+    const key = String(value ?? 'unknown').trim().replace(/[.~*/[\]`]/g, '_').slice(0, this.config.maxKeyLength);
+    return key || 'unknown';
+  }
+}
+
+module.exports = ActivityRollups;
@@ -1,18 +1,23 @@
 import { db } from '../config/firebase';
 import { UserContext, UserStats, TodoItem, RoutineItem, MoodEntry, FocusSession } from '../types/coach';
+import StreakEngine = require('./streakEngine');
+import { resolveTimeZone, getLocalDateString } from '../utils/timeZoneUtils';
+
+const streakEngine = new StreakEngine();
 
 export class ContextAggregator {
   async aggregateUserContext(userId: string): Promise<UserContext> {
     try {
-      const [todos, routines, moods, focusSessions, preferences] = await Promise.all([
+      const [todos, routines, moods, focusSessions, preferences, streakDays] = await Promise.all([
         this.getUserTodos(userId),
         this.getUserRoutines(userId),
         this.getRecentMoods(userId),
         this.getRecentFocusSessions(userId),
-        this.getUserPreferences(userId)
+        this.getUserPreferences(userId),
+        this.getStreakDays(userId)
       ]);
 
-      const currentStats = this.calculateUserStats(todos, routines, moods, focusSessions);
+      const currentStats = this.calculateUserStats(todos, routines, moods, focusSessions, streakDays);
 
       return {
         userId,
@@ -145,7 +150,8 @@ export class ContextAggregator {
     todos: TodoItem[], 
     routines: RoutineItem[], 
     moods: MoodEntry[], 
-    focusSessions: FocusSession[]
+    focusSessions: FocusSession[],
+    streakDays: number
   ): UserStats {
     const completedTasks = todos.filter(todo => todo.completed).length;
     const totalTasks = todos.length;
@@ -157,9 +163,6 @@ export class ContextAggregator {
       session.startTime && new Date(session.startTime).toISOString().split('T')[0] === today
     ).length;
 
-    // Calculate streak (simplified - could be more sophisticated)
-    const streakDays = this.calculateStreakDays(todos, routines);
-
     // Get most recent mood
     const recentMood = moods.length > 0 ? moods[0].mood : undefined;
 
@@ -173,13 +176,30 @@ export class ContextAggregator {
     };
   }
 
-  private calculateStreakDays(todos: TodoItem[], routines: RoutineItem[]): number {
-    // Simplified streak calculation
-    // In a real implementation, this would check daily completion patterns
-    const recentCompletions = todos.filter(todo => todo.completed).length + 
-                             routines.filter(routine => routine.completed).length;
-    
-    return Math.min(recentCompletions, 7); // Cap at 7 days for simplicity
+  private async getStreakDays(userId: string): Promise<number> {
+    try {
+      // The overall streak is kept up to date as tasks and routine steps complete
+      const userRef = db.collection('users').doc(userId);
+      const [userDoc, streakDoc] = await Promise.all([
+        userRef.get(),
+        userRef.collection('streaks').doc('overall').get()
+      ]);
+
+      if (!streakDoc.exists) {
+        return 0;
+      }
+
+      const userData = userDoc.exists ? userDoc.data() || {} : {};
+      const timeZone = resolveTimeZone(userData.timeZone, userData.aiPreferences?.timeZone);
+      const today = getLocalDateString(new Date(), timeZone);
+
+      return streakEngine.getStatus(streakDoc.data(), today, {
+        graceDays: userData.streakSettings?.graceDays
+      }).current;
+    } catch (error) {
+      console.error('Error fetching streak:', error);
+      return 0;
+    }
   }
 
   async getContextSummary(userId: string): Promise<string> {
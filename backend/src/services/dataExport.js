@@ -0,0 +1,284 @@
+const ZipArchive = require('./zipArchive');
+const RoutineScheduler = require('./routineScheduler');
+const RecurrenceEngine = require('./recurrenceEngine');
+const { getLocalDateString } = require('../utils/timeZoneUtils');
+
+/**
+ * Data Export
+ * Turns a user's records into a portable archive: every dataset as JSON and
+ * CSV, plus routines as an iCalendar (.ics) file that calendar apps can
+ * import. Firestore timestamps become ISO strings, and secrets (calendar
+ * tokens, push tokens) never leave the profile.
+ */
+class DataExport {
+  constructor(config = {}) {
+    this.config = {
+      datasets: [
+        'profile',
+        'todos',
+        'routines',
+        'routineRuns',
+        'routineHistory',
+        'journal',
+        'coachConversations',
+        'notifications',
+        'aiRequests'
+      ],
+      formats: ['json', 'csv', 'ics'],
+      secretFields: ['calendarTokens', 'fcmToken'],
+      productId: '-//FocusMate//Data Export//EN',
+      ...config
+    };
+
+    this.scheduler = new RoutineScheduler();
+    this.recurrenceEngine = new RecurrenceEngine();
+  }
+
+  /**
+   * Validate requested formats (comma-separated or array); defaults to all
+   */
+  normalizeFormats(value) {
+    if (value === undefined || value === null || value === '') {
+      return [...this.config.formats];
+    }
+
+    const formats = (Array.isArray(value) ? value : String(value).split(','))
+      .map(format => String(format).trim().toLowerCase())
+      .filter(Boolean);
+    const unknown = formats.filter(format => !this.config.formats.includes(format));
+    if (unknown.length > 0 || formats.length === 0) {
+      throw new Error(`Formats must be any of: ${this.config.formats.join(', ')}`);
+    }
+    return [...new Set(formats)];
+  }
+
+  /**
+   * Build the zip archive. `datasets` maps dataset names to record arrays
+   * (the profile is a single record).
+   */
+  buildArchive(datasets, { formats = this.config.formats, timeZone = 'UTC', generatedAt = new Date() } = {}) {
+    const archive = new ZipArchive();
+    const manifest = {
+      generatedAt: generatedAt.toISOString(),
+      timeZone,
+      formats,
+      datasets: {}
+    };
+
+    for (const name of this.config.datasets) {
+      const records = this.serialize(
+        name === 'profile' ? [this.stripSecrets(datasets.profile || {})] : (datasets[name] || [])
+      );
+      manifest.datasets[name] = { records: records.length, files: [] };
+
+      if (formats.includes('json')) {
+        archive.addFile(`json/${name}.json`, JSON.stringify(name === 'profile' ? records[0] : records, null, 2), generatedAt);
+        manifest.datasets[name].files.push(`json/${name}.json`);
+      }
+      if (formats.includes('csv')) {
+        archive.addFile(`csv/${name}.csv`, this.toCsv(records), generatedAt);
+        manifest.datasets[name].files.push(`csv/${name}.csv`);
+      }
+    }
+
+    if (formats.includes('ics')) {
+      archive.addFile('calendar/routines.ics', this.routinesToIcs(datasets.routines || [], timeZone, generatedAt), generatedAt);
+      manifest.datasets.routines.files.push('calendar/routines.ics');
+    }
+
+    archive.addFile('manifest.json', JSON.stringify(manifest, null, 2), generatedAt);
+    return { buffer: archive.toBuffer(), manifest };
+  }
+
+  /**
+   * Deep copy with Firestore timestamps and Dates as ISO strings
+   */
+  serialize(value) {
+    if (value === null || value === undefined) return value ?? null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(item => this.serialize(item));
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.serialize(item)]));
+    }
+    return value;
+  }
+
+  stripSecrets(profile) {
+    const copy = { ...profile };
+    this.config.secretFields.forEach(field => { delete copy[field]; });
+    return copy;
+  }
+
+  /**
+   * CSV with one column per flattened field (nested objects as dotted
+   * names, arrays as JSON). Cells that a spreadsheet would run as a
+   * formula are prefixed with an apostrophe.
+   */
+  toCsv(records) {
+    const rows = records.map(record => this.flatten(record));
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const cell = value => {
+      if (value === null || value === undefined) return '';
+      let text = typeof value === 'string' ? value : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.map(cell).join(','),
+      ...rows.map(row => columns.map(column => cell(row[column])).join(','))
+    ].join('\r\n') + '\r\n';
+  }
+
+  flatten(record, prefix = '', row = {}) {
+    for (const [key, value] of Object.entries(record || {})) {
+      const column = prefix ? `${prefix}.${key}` : key;
+      if (Array.isArray(value)) {
+        row[column] = JSON.stringify(value);
+      } else if (value && typeof value === 'object') {
+        this.flatten(value, column, row);
+      } else {
+        row[column] = value;
+      }
+    }
+    return row;
+  }
+
+  /**
+   * iCalendar file with one recurring event per active, non-template
+   * routine. Timed routines use the user's time zone (TZID) so they keep
+   * their local time across daylight saving changes; others are all-day.
+   */
+  routinesToIcs(routines, timeZone = 'UTC', generatedAt = new Date()) {
+    const stamp = this.toIcsUtc(generatedAt);
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.config.productId}`,
+      'CALSCALE:GREGORIAN',
+      `X-WR-TIMEZONE:${timeZone}`
+    ];
+
+    for (const routine of routines) {
+      if (routine.isTemplate || routine.isActive === false) continue;
+
+      const startDate = this.scheduler.getStartDate(routine, timeZone) ||
+        (routine.createdAt ? getLocalDateString(this.toDate(routine.createdAt), timeZone) : getLocalDateString(generatedAt, timeZone));
+      const rule = this.getRoutineRule(routine);
+      if (rule === false) continue;
+
+      const date = startDate.replace(/-/g, '');
+      lines.push('BEGIN:VEVENT', `UID:routine-${routine.id}@focusmate`, `DTSTAMP:${stamp}`);
+
+      if (/^\d{2}:\d{2}$/.test(routine.startTime || '')) {
+        const start = `${date}T${routine.startTime.replace(':', '')}00`;
+        lines.push(`DTSTART;TZID=${timeZone}:${start}`);
+        lines.push(`DURATION:PT${Math.max(1, this.getRoutineMinutes(routine))}M`);
+      } else {
+        lines.push(`DTSTART;VALUE=DATE:${date}`);
+      }
+
+      if (rule) lines.push(`RRULE:${rule}`);
+      lines.push(`SUMMARY:${this.escapeIcs(routine.title || 'Routine')}`);
+
+      const steps = (routine.tasks || []).map(task => `- ${task.title} (${task.estimatedDuration || 0} min)`);
+      const description = [routine.description, ...steps].filter(Boolean).join('\n');
+      if (description) lines.push(`DESCRIPTION:${this.escapeIcs(description)}`);
+      lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * RRULE for a routine's schedule; null for one-off routines and false when
+   * the schedule cannot be expressed
+   */
+  getRoutineRule(routine) {
+    const type = String(routine.scheduleType || 'daily').toLowerCase();
+    const days = routine.scheduleDays || [];
+    const byDay = list => list.map(day => ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][day]).join(',');
+
+    switch (type) {
+      case 'once':
+        return null;
+      case 'daily':
+        return days.length > 0 ? `FREQ=WEEKLY;BYDAY=${byDay(this.scheduler.normalizeWeekdays(days))}` : 'FREQ=DAILY';
+      case 'weekdays':
+        return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+      case 'weekends':
+        return 'FREQ=WEEKLY;BYDAY=SA,SU';
+      case 'weekly':
+        return days.length > 0 ? `FREQ=WEEKLY;BYDAY=${byDay(this.scheduler.normalizeWeekdays(days))}` : 'FREQ=WEEKLY';
+      case 'monthly': {
+        const monthDays = days.map(day => parseInt(day)).filter(Number.isInteger);
+        return monthDays.length > 0 ? `FREQ=MONTHLY;BYMONTHDAY=${monthDays.join(',')}` : 'FREQ=MONTHLY';
+      }
+      case 'custom':
+        try {
+          return this.recurrenceEngine.toRRule(this.recurrenceEngine.normalizeRule(routine.customSchedule));
+        } catch (error) {
+          return false;
+        }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Routine length: start to end time when both are set, else task time
+   */
+  getRoutineMinutes(routine) {
+    if (/^\d{2}:\d{2}$/.test(routine.endTime || '')) {
+      const toMinutes = time => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+      const minutes = toMinutes(routine.endTime) - toMinutes(routine.startTime);
+      return minutes > 0 ? minutes : minutes + 24 * 60;
+    }
+    return this.scheduler.getDuration(routine);
+  }
+
+  toDate(value) {
+    if (value instanceof Date) return value;
+    if (value && typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+  }
+
+  toIcsUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  escapeIcs(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold lines longer than 75 octets (RFC 5545 3.1)
+   */
+  foldIcsLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74; // Continuations start with a space
+      if (Buffer.byteLength(current + char, 'utf8') > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = DataExport;
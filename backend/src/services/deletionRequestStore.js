@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATE_FIELDS = ['requestedAt', 'dueBy', 'startedAt', 'processedAt', 'nextAttemptAt'];
+
+/**
+ * Deletion Request Store
+ * Keeps log deletion requests in a JSON file so they survive restarts.
+ * Writes are synchronous and atomic (temp file, then rename): requests are
+ * rare, and one must be on disk before it is acknowledged to the user.
+ */
+class DeletionRequestStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * All stored requests, with date fields revived. An unreadable file is
+   * set aside rather than overwritten so no request record is lost.
+   */
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    try {
+      const data = JSON.parse(content);
+      return (data.requests || []).map(request => this.revive(request));
+    } catch (error) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptPath);
+      console.error(`Deletion request store was unreadable; moved it to ${corruptPath}:`, error.message);
+      return [];
+    }
+  }
+
+  save(requests) {
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ version: 1, requests }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  revive(request) {
+    const revived = { ...request };
+    for (const field of DATE_FIELDS) {
+      if (revived[field]) {
+        revived[field] = new Date(revived[field]);
+      }
+    }
+    return revived;
+  }
+}
+
+module.exports = DeletionRequestStore;
@@ -0,0 +1,320 @@
+const RoutineRunTracker = require('./routineRuns');
+const { getZonedParts } = require('../utils/timeZoneUtils');
+
+/**
+ * Estimation Model
+ * Learns how a user's actual time compares to their estimates. Each sample
+ * is the ratio of actual to estimated minutes for a finished task; ratios
+ * are averaged in log space (so 2x too long and 2x too short cancel out)
+ * per task title, per category and per time of day. Predictions start from
+ * the overall ratio and move toward the more specific buckets as they gather
+ * samples, so a task seen once barely moves its estimate.
+ */
+class EstimationModel {
+  constructor(config = {}) {
+    this.config = {
+      minSamples: 5, // Samples needed before estimates are adjusted
+      priorWeight: 3, // Pseudo-samples pulling a bucket toward its parent
+      minRatio: 0.25,
+      maxRatio: 4,
+      accurateWithin: 0.1, // Ratios within 10% of 1 count as accurate
+      maxTasks: 200, // Task buckets kept, most recently seen first
+      maxKeyLength: 60,
+      ...config
+    };
+
+    this.tracker = new RoutineRunTracker();
+  }
+
+  /**
+   * Empty model
+   */
+  createModel(timeZone = 'UTC') {
+    return {
+      timeZone,
+      overall: this.createBucket(),
+      byCategory: {},
+      byTimeOfDay: {},
+      byTask: {}
+    };
+  }
+
+  /**
+   * Empty bucket: sample count and sum of log ratios
+   */
+  createBucket() {
+    return { samples: 0, logSum: 0, lastSeen: null };
+  }
+
+  /**
+   * Sample from a finished routine run task. Only tasks whose actual time
+   * was measured count: completions without a reported duration default the
+   * actual time to the estimate. Auto-adjusted estimates are compared by the
+   * user's original estimate, so adjustments don't feed back into the model.
+   */
+  getRunTaskSample(task, routine = {}) {
+    if (!task || task.status !== 'completed') {
+      return null;
+    }
+
+    if (!this.tracker.isDurationMeasured(task)) {
+      return null;
+    }
+
+    return this.toSample({
+      title: task.title,
+      category: task.category || routine.templateCategory || 'routine',
+      estimated: this.getOriginalEstimate(task, 'estimatedDuration'),
+      actual: task.actualDuration,
+      completedAt: task.completedAt
+    });
+  }
+
+  /**
+   * Sample from a completed todo with both a duration and an actual time.
+   * Time from linked focus sessions (focusedMinutes) is authoritative; a
+   * client-reported actualDuration is used when there is none.
+   */
+  getTodoSample(todo) {
+    if (!todo || !todo.completed) {
+      return null;
+    }
+
+    return this.toSample({
+      title: todo.title,
+      category: todo.category || 'todo',
+      estimated: this.getOriginalEstimate(todo, 'duration'),
+      actual: todo.focusedMinutes > 0 ? todo.focusedMinutes : todo.actualDuration,
+      completedAt: todo.completedAt
+    });
+  }
+
+  /**
+   * The estimate the user entered, before any auto-adjustment
+   */
+  getOriginalEstimate(item, field) {
+    return item.estimateAdjustment?.originalDuration ?? item[field];
+  }
+
+  /**
+   * Build a model from samples
+   */
+  buildModel(samples, timeZone = 'UTC') {
+    const model = this.createModel(timeZone);
+    const ordered = samples
+      .filter(Boolean)
+      .sort((a, b) => (a.completedAt?.getTime() || 0) - (b.completedAt?.getTime() || 0));
+
+    for (const sample of ordered) {
+      this.addSample(model, sample);
+    }
+
+    return model;
+  }
+
+  /**
+   * Add a sample to a model in place
+   */
+  addSample(model, sample) {
+    const logRatio = Math.log(sample.actual / sample.estimated);
+    const seen = sample.completedAt ? sample.completedAt.toISOString() : null;
+    const add = (buckets, key) => {
+      const bucket = buckets[key] || this.createBucket();
+      buckets[key] = {
+        samples: bucket.samples + 1,
+        logSum: bucket.logSum + logRatio,
+        lastSeen: seen || bucket.lastSeen
+      };
+    };
+
+    model.overall = {
+      samples: model.overall.samples + 1,
+      logSum: model.overall.logSum + logRatio,
+      lastSeen: seen || model.overall.lastSeen
+    };
+    add(model.byCategory, sample.category);
+    add(model.byTask, sample.taskKey);
+    if (sample.completedAt) {
+      add(model.byTimeOfDay, this.getTimeOfDay(sample.completedAt, model.timeZone));
+    }
+
+    this.pruneTasks(model);
+    return model;
+  }
+
+  /**
+   * Predicted actual-to-estimated ratio for a task. The task bucket is
+   * shrunk toward its category, the category toward the overall ratio, and
+   * the time of day applies as a factor relative to the overall ratio.
+   */
+  predictRatio(model, { title, category, timeOfDay } = {}) {
+    const overall = this.shrink(model.overall, 0);
+    const categoryKey = category ? this.toKey(category) : null;
+    const categoryLog = categoryKey ? this.shrink(model.byCategory[categoryKey], overall) : overall;
+    const taskKey = title ? this.toKey(title.toLowerCase()) : null;
+    const taskLog = taskKey ? this.shrink(model.byTask[taskKey], categoryLog) : categoryLog;
+    const timeLog = timeOfDay ? this.shrink(model.byTimeOfDay[timeOfDay], overall) - overall : 0;
+
+    return {
+      ratio: this.round(this.clampRatio(Math.exp(taskLog + timeLog))),
+      samples: model.overall.samples,
+      taskSamples: taskKey ? model.byTask[taskKey]?.samples || 0 : 0,
+      reliable: model.overall.samples >= this.config.minSamples
+    };
+  }
+
+  /**
+   * Adjusted minutes for an estimate, or the estimate unchanged when the
+   * model has too few samples
+   */
+  adjustEstimate(model, minutes, context = {}) {
+    const estimate = Number(minutes);
+    if (!(estimate > 0)) {
+      return null;
+    }
+
+    const prediction = this.predictRatio(model, context);
+    if (!prediction.reliable) {
+      return { estimatedDuration: estimate, originalDuration: estimate, ratio: 1, adjusted: false };
+    }
+
+    const adjustedMinutes = Math.max(1, Math.round(estimate * prediction.ratio));
+    return {
+      estimatedDuration: adjustedMinutes,
+      originalDuration: estimate,
+      ratio: prediction.ratio,
+      adjusted: adjustedMinutes !== estimate
+    };
+  }
+
+  /**
+   * Human-readable accuracy summary with per-category, per-time-of-day and
+   * most frequent task breakdowns
+   */
+  summarize(model) {
+    const describe = bucket => {
+      const ratio = this.round(Math.exp(bucket.logSum / bucket.samples));
+      return { ratio, samples: bucket.samples, direction: this.getDirection(ratio) };
+    };
+    const breakdown = (buckets, field) => Object.entries(buckets)
+      .map(([key, bucket]) => ({ [field]: key, ...describe(bucket) }))
+      .sort((a, b) => b.samples - a.samples);
+
+    if (model.overall.samples === 0) {
+      return {
+        overall: { ratio: 1, samples: 0, direction: 'unknown' },
+        message: 'Not enough timed tasks yet to learn how long things take you',
+        reliable: false,
+        byCategory: [],
+        byTimeOfDay: [],
+        tasks: []
+      };
+    }
+
+    const overall = describe(model.overall);
+    return {
+      overall,
+      message: this.getMessage(overall.ratio),
+      reliable: overall.samples >= this.config.minSamples,
+      byCategory: breakdown(model.byCategory, 'category'),
+      byTimeOfDay: breakdown(model.byTimeOfDay, 'timeOfDay'),
+      tasks: breakdown(model.byTask, 'task').slice(0, 10)
+    };
+  }
+
+  /**
+   * Whether estimates run short ('under'), long ('over') or about right
+   */
+  getDirection(ratio) {
+    if (Math.abs(Math.log(ratio)) <= Math.log(1 + this.config.accurateWithin)) {
+      return 'accurate';
+    }
+    return ratio > 1 ? 'under' : 'over';
+  }
+
+  /**
+   * "Your estimates are typically 1.6x too short"
+   */
+  getMessage(ratio) {
+    const direction = this.getDirection(ratio);
+    if (direction === 'accurate') {
+      return 'Your estimates are usually about right';
+    }
+    return direction === 'under'
+      ? `Your estimates are typically ${this.round(ratio, 1)}x too short`
+      : `Your estimates are typically ${this.round(1 / ratio, 1)}x too long`;
+  }
+
+  /**
+   * Time of day slot for a moment in the user's time zone
+   */
+  getTimeOfDay(date, timeZone = 'UTC') {
+    const { hour } = getZonedParts(date, timeZone);
+    if (hour < 6) return 'early_morning';
+    if (hour < 12) return 'morning';
+    if (hour < 17) return 'afternoon';
+    if (hour < 21) return 'evening';
+    return 'night';
+  }
+
+  /**
+   * Validated sample, or null when either duration is missing
+   */
+  toSample({ title, category, estimated, actual, completedAt }) {
+    const estimate = Number(estimated);
+    const spent = Number(actual);
+    if (!(estimate > 0) || !(spent > 0)) {
+      return null;
+    }
+
+    return {
+      taskKey: this.toKey(String(title || '').toLowerCase()),
+      category: this.toKey(category),
+      estimated: estimate,
+      actual: spent,
+      completedAt: completedAt ? this.tracker.toDate(completedAt) : null
+    };
+  }
+
+  /**
+   * Mean log ratio of a bucket, pulled toward a parent mean by priorWeight
+   */
+  shrink(bucket, parentLog) {
+    const samples = bucket?.samples || 0;
+    return ((bucket?.logSum || 0) + this.config.priorWeight * parentLog) / (samples + this.config.priorWeight);
+  }
+
+  /**
+   * Keep only the most recently seen task buckets
+   */
+  pruneTasks(model) {
+    const keys = Object.keys(model.byTask);
+    if (keys.length <= this.config.maxTasks) {
+      return;
+    }
+
+    keys
+      .sort((a, b) => String(model.byTask[b].lastSeen || '').localeCompare(String(model.byTask[a].lastSeen || '')))
+      .slice(this.config.maxTasks)
+      .forEach(key => { delete model.byTask[key]; });
+  }
+
+  clampRatio(ratio) {
+    return Math.min(this.config.maxRatio, Math.max(this.config.minRatio, ratio));
+  }
+
+  round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Make a free-text value (title, category) safe as a map key
+   */
+  toKey(value) {
+    const key = String(value ?? 'unknown').trim().replace(/[.~*/[\]`]/g, '_').slice(0, this.config.maxKeyLength);
+    return key || 'unknown';
+  }
+}
+
+module.exports = EstimationModel;
@@ -0,0 +1,282 @@
+/**
+ * Focus Session Timer
+ * Server-authoritative timer for focus sessions: tracks elapsed time across
+ * pauses, resumes and extensions, and lays out Pomodoro work/break cycles
+ */
+class FocusSessionTimer {
+  constructor(config = {}) {
+    this.config = {
+      defaultDuration: 25, // minutes, for plain (non-Pomodoro) sessions
+      maxDuration: 240,
+      maxExtension: 60,
+      pomodoro: {
+        workMinutes: 25,
+        shortBreakMinutes: 5,
+        longBreakMinutes: 15,
+        cyclesBeforeLongBreak: 4,
+        totalCycles: 4
+      },
+      ...config
+    };
+  }
+
+  /**
+   * Create a new running session
+   */
+  createSession(options = {}, now = new Date()) {
+    const pomodoro = options.pomodoro ? this.normalizePomodoro(options.pomodoro) : null;
+    const duration = pomodoro ? null : this.normalizeMinutes(
+      options.duration ?? this.config.defaultDuration,
+      this.config.maxDuration,
+      'Session duration'
+    );
+
+    return {
+      todoId: options.todoId || null,
+      routineId: options.routineId || null,
+      taskId: options.taskId || null,
+      status: 'running',
+      mode: pomodoro ? 'pomodoro' : 'timer',
+      duration,
+      pomodoro,
+      startTime: this.toDate(now),
+      endTime: null,
+      pausedAt: null,
+      pausedMs: 0,
+      pauses: [],
+      extensions: [],
+      completed: false
+    };
+  }
+
+  /**
+   * Pause a running session
+   */
+  pause(session, now = new Date()) {
+    this.assertStatus(session, ['running'], 'pause');
+
+    return {
+      ...session,
+      status: 'paused',
+      pausedAt: this.toDate(now)
+    };
+  }
+
+  /**
+   * Resume a paused session; the paused interval does not count as focus time
+   */
+  resume(session, now = new Date()) {
+    this.assertStatus(session, ['paused'], 'resume');
+
+    const pausedAt = this.toDate(session.pausedAt);
+    const resumedAt = this.toDate(now);
+
+    return {
+      ...session,
+      status: 'running',
+      pausedAt: null,
+      pausedMs: (session.pausedMs || 0) + Math.max(0, resumedAt - pausedAt),
+      pauses: [...(session.pauses || []), { pausedAt, resumedAt }]
+    };
+  }
+
+  /**
+   * Add minutes to the phase that is currently in progress
+   */
+  extend(session, minutes, now = new Date()) {
+    this.assertStatus(session, ['running', 'paused'], 'extend');
+
+    const extension = this.normalizeMinutes(minutes, this.config.maxExtension, 'Extension');
+    const { phaseIndex } = this.getState(session, now);
+
+    return {
+      ...session,
+      extensions: [...(session.extensions || []), {
+        minutes: extension,
+        phaseIndex,
+        at: this.toDate(now)
+      }]
+    };
+  }
+
+  /**
+   * Finish a session. `completed` distinguishes a finished session from one
+   * the user abandoned.
+   */
+  finish(session, now = new Date(), { completed = true } = {}) {
+    this.assertStatus(session, ['running', 'paused'], 'finish');
+
+    // Close an open pause so it is not counted as focus time
+    const closed = session.status === 'paused' ? this.resume(session, now) : session;
+    const state = this.getState(closed, now);
+
+    return {
+      ...closed,
+      status: completed ? 'completed' : 'cancelled',
+      completed,
+      endTime: this.toDate(now),
+      elapsedSeconds: state.elapsedSeconds,
+      focusSeconds: state.focusSeconds,
+      completedCycles: state.completedCycles
+    };
+  }
+
+  /**
+   * Compute the live state of a session at a point in time
+   */
+  getState(session, now = new Date()) {
+    const elapsedSeconds = this.getElapsedSeconds(session, now);
+    const phases = this.buildPhases(session);
+    const plannedSeconds = phases.reduce((sum, phase) => sum + phase.durationSeconds, 0);
+
+    let offset = 0;
+    let phaseIndex = phases.length - 1;
+    let focusSeconds = 0;
+    let completedCycles = 0;
+
+    for (let i = 0; i < phases.length; i++) {
+      const phase = phases[i];
+      const phaseEnd = offset + phase.durationSeconds;
+      const spent = Math.max(0, Math.min(elapsedSeconds, phaseEnd) - offset);
+
+      if (phase.type === 'work') {
+        focusSeconds += spent;
+        if (elapsedSeconds >= phaseEnd) completedCycles++;
+      }
+
+      if (elapsedSeconds < phaseEnd) {
+        phaseIndex = i;
+        break;
+      }
+      offset = phaseEnd;
+    }
+
+    const isOvertime = elapsedSeconds >= plannedSeconds;
+    const currentPhase = phases[phaseIndex];
+    const phaseStart = phases.slice(0, phaseIndex).reduce((sum, phase) => sum + phase.durationSeconds, 0);
+
+    // Overtime on the last phase still counts as focus time
+    if (isOvertime && currentPhase.type === 'work') {
+      focusSeconds += elapsedSeconds - plannedSeconds;
+    }
+
+    return {
+      status: session.status,
+      elapsedSeconds,
+      plannedSeconds,
+      remainingSeconds: Math.max(0, plannedSeconds - elapsedSeconds),
+      focusSeconds,
+      phase: isOvertime ? 'done' : currentPhase.type,
+      phaseIndex,
+      phaseRemainingSeconds: isOvertime ? 0 : phaseStart + currentPhase.durationSeconds - elapsedSeconds,
+      cycle: currentPhase.cycle,
+      totalCycles: session.pomodoro ? session.pomodoro.totalCycles : 1,
+      completedCycles,
+      isOvertime
+    };
+  }
+
+  /**
+   * Seconds of session time, excluding paused intervals
+   */
+  getElapsedSeconds(session, now = new Date()) {
+    const start = this.toDate(session.startTime);
+    const end = session.endTime ? this.toDate(session.endTime) : this.toDate(now);
+    const openPause = session.status === 'paused' && session.pausedAt
+      ? Math.max(0, end - this.toDate(session.pausedAt))
+      : 0;
+
+    const elapsedMs = end - start - (session.pausedMs || 0) - openPause;
+    return Math.max(0, Math.floor(elapsedMs / 1000));
+  }
+
+  /**
+   * Lay out the session as work/break phases, applying extensions to the
+   * phase they were requested in. The final work block has no trailing break.
+   */
+  buildPhases(session) {
+    const phases = [];
+
+    if (session.pomodoro) {
+      const config = session.pomodoro;
+      for (let cycle = 1; cycle <= config.totalCycles; cycle++) {
+        phases.push({ type: 'work', cycle, durationSeconds: config.workMinutes * 60 });
+
+        if (cycle < config.totalCycles) {
+          const isLongBreak = cycle % config.cyclesBeforeLongBreak === 0;
+          phases.push({
+            type: isLongBreak ? 'long_break' : 'short_break',
+            cycle,
+            durationSeconds: (isLongBreak ? config.longBreakMinutes : config.shortBreakMinutes) * 60
+          });
+        }
+      }
+    } else {
+      phases.push({ type: 'work', cycle: 1, durationSeconds: session.duration * 60 });
+    }
+
+    for (const extension of session.extensions || []) {
+      const phase = phases[Math.min(extension.phaseIndex, phases.length - 1)];
+      phase.durationSeconds += extension.minutes * 60;
+    }
+
+    return phases;
+  }
+
+  /**
+   * Validate Pomodoro settings, filling gaps from the defaults
+   */
+  normalizePomodoro(pomodoro) {
+    const settings = { ...this.config.pomodoro, ...(typeof pomodoro === 'object' ? pomodoro : {}) };
+
+    return {
+      workMinutes: this.normalizeMinutes(settings.workMinutes, 120, 'Work interval'),
+      shortBreakMinutes: this.normalizeMinutes(settings.shortBreakMinutes, 60, 'Short break'),
+      longBreakMinutes: this.normalizeMinutes(settings.longBreakMinutes, 120, 'Long break'),
+      cyclesBeforeLongBreak: this.normalizeCount(settings.cyclesBeforeLongBreak, 'Cycles before long break'),
+      totalCycles: this.normalizeCount(settings.totalCycles, 'Total cycles')
+    };
+  }
+
+  /**
+   * Validate a positive number of minutes with an upper bound
+   */
+  normalizeMinutes(value, max, label) {
+    const minutes = Number(value);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > max) {
+      throw new Error(`${label} must be between 1 and ${max} minutes`);
+    }
+    return minutes;
+  }
+
+  /**
+   * Validate a small positive integer count
+   */
+  normalizeCount(value, label) {
+    const count = parseInt(value);
+    if (!Number.isInteger(count) || count < 1 || count > 12) {
+      throw new Error(`${label} must be between 1 and 12`);
+    }
+    return count;
+  }
+
+  /**
+   * Guard state transitions
+   */
+  assertStatus(session, allowed, action) {
+    if (!allowed.includes(session.status)) {
+      throw new Error(`Cannot ${action} a session that is ${session.status}`);
+    }
+  }
+
+  /**
+   * Accept Dates, ISO strings and Firestore timestamps
+   */
+  toDate(value) {
+    if (value instanceof Date) return value;
+    if (value && typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+  }
+}
+
+module.exports = FocusSessionTimer;
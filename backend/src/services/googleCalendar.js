@@ -0,0 +1,100 @@
+const https = require('https');
+
+/**
+ * Google Calendar
+ * The calls that remove what the app put in a user's Google account:
+ * deleting synced events and revoking the OAuth grant. Requests go through
+ * Node's https module; tests pass their own `request` function instead.
+ */
+class GoogleCalendar {
+  constructor(config = {}) {
+    this.config = {
+      apiUrl: 'https://www.googleapis.com/calendar/v3',
+      revokeUrl: 'https://oauth2.googleapis.com/revoke',
+      timeoutMs: 10000,
+      request: null, // async ({ method, url, headers, body }) => ({ status, body })
+      ...config
+    };
+  }
+
+  /**
+   * Revoke the grant so stored tokens stop working instead of just being
+   * forgotten. Revoking the refresh token also revokes its access tokens.
+   * Returns false when there is no token to revoke.
+   */
+  async revokeAccess(tokens) {
+    const token = tokens?.refreshToken || tokens?.accessToken;
+    if (!token) {
+      return false;
+    }
+
+    const response = await this.send({
+      method: 'POST',
+      url: this.config.revokeUrl,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ token }).toString()
+    });
+
+    // 400 means the token was already revoked or has expired
+    if (response.status >= 300 && response.status !== 400) {
+      throw new Error(`Google token revocation failed with status ${response.status}`);
+    }
+    return true;
+  }
+
+  /**
+   * Delete events from a calendar, returning how many were deleted. Events
+   * that are already gone (404, or 410 once deleted) count as deleted.
+   */
+  async deleteEvents(eventIds, tokens, calendarId = 'primary') {
+    if (!eventIds?.length) {
+      return 0;
+    }
+    if (!tokens?.accessToken) {
+      throw new Error('A calendar access token is required to delete events');
+    }
+
+    const calendarPath = encodeURIComponent(calendarId || 'primary');
+    let deleted = 0;
+
+    for (const eventId of eventIds) {
+      const response = await this.send({
+        method: 'DELETE',
+        url: `${this.config.apiUrl}/calendars/${calendarPath}/events/${encodeURIComponent(eventId)}`,
+        headers: { Authorization: `Bearer ${tokens.accessToken}` }
+      });
+
+      if (response.status >= 300 && ![404, 410].includes(response.status)) {
+        throw new Error(`Deleting calendar event ${eventId} failed with status ${response.status}`);
+      }
+      deleted++;
+    }
+
+    return deleted;
+  }
+
+  send(options) {
+    return this.config.request ? this.config.request(options) : this.httpsRequest(options);
+  }
+
+  httpsRequest({ method, url, headers = {}, body }) {
+    return new Promise((resolve, reject) => {
+      const request = https.request(url, {
+        method,
+        headers: body ? { ...headers, 'Content-Length': Buffer.byteLength(body) } : headers,
+        timeout: this.config.timeoutMs
+      }, response => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => resolve({ status: response.statusCode, body: data }));
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = GoogleCalendar;
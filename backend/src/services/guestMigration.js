@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const RoutineRunTracker = require('./routineRuns');
+
+/**
+ * Guest Migration
+ * Plans how a guest's records (stored under guests/{guestId}) are copied into
+ * a real account. Each copy keeps its guest ID unless the account already
+ * uses it, in which case it gets a suffix derived from the guest ID.
+ * Copies are tagged with where they came from, so a repeated migration
+ * recognises them instead of duplicating them. References between records
+ * (a run's routine, a todo's series and neighbouring occurrences, a history
+ * row's run) follow the renamed IDs. Focus sessions live outside the guest
+ * document and move to the account in place.
+ */
+class GuestMigration {
+  constructor(config = {}) {
+    this.config = {
+      // Order matters: runs and history refer to routines (and runs)
+      collections: ['routines', 'todos', 'journal', 'routineRuns', 'routineHistory'],
+      guestPrefixes: ['guest_', 'offline_'],
+      ...config
+    };
+
+    this.runTracker = new RoutineRunTracker();
+  }
+
+  isGuestId(value) {
+    return typeof value === 'string' &&
+      value.length <= 128 &&
+      !value.includes('/') &&
+      this.config.guestPrefixes.some(prefix => value.startsWith(prefix) && value.length > prefix.length);
+  }
+
+  /**
+   * IDs to try for a guest record in the account, in order of preference
+   */
+  getCandidateIds(collection, sourceId, data, idMaps, guestId) {
+    let preferred = sourceId;
+    if (collection === 'routineRuns' && data.routineId && data.date) {
+      // Run IDs are derived from the routine, which may have been renamed
+      preferred = this.runTracker.getRunId(this.mapId(idMaps.routines, data.routineId), data.date);
+    } else if (collection === 'routineHistory' && sourceId === `${data.runId}_${data.taskId}`) {
+      // History rows are keyed by run and task, and the run may have been renamed
+      preferred = `${this.mapId(idMaps.routineRuns, data.runId)}_${data.taskId}`;
+    }
+    return [preferred, `${preferred}-${this.getCollisionSuffix(guestId)}`];
+  }
+
+  /**
+   * First candidate that is free or already holds this record's earlier copy.
+   * `existing` maps candidate IDs to the account's document data (or null).
+   */
+  chooseTargetId(candidates, existing, guestId, sourceId) {
+    for (const id of candidates) {
+      const data = existing.get(id);
+      if (!data) {
+        return { id, alreadyMigrated: false, renamed: id !== candidates[0] };
+      }
+      if (this.isCopyOf(data, guestId, sourceId)) {
+        return { id, alreadyMigrated: true, renamed: id !== candidates[0] };
+      }
+    }
+    throw new Error(`No free ID for guest record ${sourceId}`);
+  }
+
+  /**
+   * The record as written to the account, with references remapped
+   */
+  remapDocument(collection, sourceId, data, { targetId, idMaps, guestId, migratedAt = new Date() }) {
+    const copy = { ...data };
+
+    if ('id' in data) {
+      copy.id = targetId;
+    }
+
+    switch (collection) {
+      case 'todos':
+        if (copy.seriesId) copy.seriesId = this.mapId(idMaps.todos, copy.seriesId);
+        if (copy.previousOccurrenceId) copy.previousOccurrenceId = this.mapId(idMaps.todos, copy.previousOccurrenceId);
+        if (copy.nextOccurrenceId) copy.nextOccurrenceId = this.mapId(idMaps.todos, copy.nextOccurrenceId);
+        break;
+      case 'routines':
+        if (copy.templateId) copy.templateId = this.mapId(idMaps.routines, copy.templateId);
+        break;
+      case 'routineRuns':
+        if (copy.routineId) copy.routineId = this.mapId(idMaps.routines, copy.routineId);
+        break;
+      case 'routineHistory':
+        if (copy.routineId) copy.routineId = this.mapId(idMaps.routines, copy.routineId);
+        if (copy.runId) copy.runId = this.mapId(idMaps.routineRuns, copy.runId);
+        break;
+      default:
+        break;
+    }
+
+    copy.migratedFrom = { guestId, id: sourceId, migratedAt: migratedAt.toISOString() };
+    return copy;
+  }
+
+  /**
+   * Changes that hand a guest's focus session (stored in focus_sessions with
+   * the guest as owner) to the account, with its todo and routine remapped
+   */
+  remapFocusSession(data, { userId, idMaps, guestId, migratedAt = new Date() }) {
+    const changes = {
+      userId,
+      migratedFrom: { guestId, id: data.id, migratedAt: migratedAt.toISOString() }
+    };
+
+    if (data.todoId) changes.todoId = this.mapId(idMaps.todos, data.todoId);
+    if (data.routineId) changes.routineId = this.mapId(idMaps.routines, data.routineId);
+    return changes;
+  }
+
+  isCopyOf(data, guestId, sourceId) {
+    return data?.migratedFrom?.guestId === guestId && data.migratedFrom.id === sourceId;
+  }
+
+  mapId(idMap, id) {
+    return idMap?.get(id) || id;
+  }
+
+  getCollisionSuffix(guestId) {
+    return crypto.createHash('sha256').update(guestId).digest('hex').slice(0, 8);
+  }
+}
+
+module.exports = GuestMigration;
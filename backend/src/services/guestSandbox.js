@@ -0,0 +1,68 @@
+/**
+ * Guest Sandbox
+ * Rules for guest (guest_ / offline_ token) storage under guests/{guestId}:
+ * how many todos, routines and journal entries a guest may keep, and when an
+ * inactive guest's data expires. Activity is recorded at most once per
+ * touch interval so ordinary reads don't turn into writes.
+ */
+class GuestSandbox {
+  constructor(config = {}) {
+    this.config = {
+      inactivityDays: 30,
+      quotas: {
+        todos: 100,
+        routines: 10,
+        journal: 100
+      },
+      touchIntervalMs: 60 * 60 * 1000,
+      ...config
+    };
+  }
+
+  getExpiresAt(lastActiveAt) {
+    return new Date(new Date(lastActiveAt).getTime() + this.config.inactivityDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Guests last active before this moment have expired
+   */
+  getExpiryCutoff(now = new Date()) {
+    return new Date(now.getTime() - this.config.inactivityDays * 24 * 60 * 60 * 1000);
+  }
+
+  isExpired(profile, now = new Date()) {
+    return Boolean(profile?.lastActiveAt) && this.getExpiresAt(profile.lastActiveAt) <= now;
+  }
+
+  shouldTouch(profile, now = new Date()) {
+    return !profile?.lastActiveAt || now - new Date(profile.lastActiveAt) >= this.config.touchIntervalMs;
+  }
+
+  /**
+   * Throws when a guest already holds as many records as the quota allows
+   */
+  checkQuota(collection, count) {
+    const limit = this.config.quotas[collection];
+    if (limit !== undefined && count >= limit) {
+      throw new Error(`Guests can keep up to ${limit} ${this.getLabel(collection)}. Create an account to add more.`);
+    }
+  }
+
+  /**
+   * Guest session details included in responses
+   */
+  describe(profile, now = new Date()) {
+    const lastActiveAt = profile?.lastActiveAt || now.toISOString();
+    return {
+      expiresAt: this.getExpiresAt(lastActiveAt).toISOString(),
+      inactivityDays: this.config.inactivityDays,
+      quotas: { ...this.config.quotas }
+    };
+  }
+
+  getLabel(collection) {
+    return { todos: 'to-do items', routines: 'routines', journal: 'journal entries' }[collection] || collection;
+  }
+}
+
+module.exports = GuestSandbox;
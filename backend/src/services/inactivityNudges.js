@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const {
+  getZonedParts,
+  getLocalDateString,
+  zonedTimeToUtc,
+  addDays,
+  getWeekday
+} = require('../utils/timeZoneUtils');
+
+/**
+ * Inactivity Nudges
+ * Decides when to gently check in with a user who has gone quiet, based on
+ * their last meaningful activity (completing a task, a focus session, a
+ * routine step or a journal entry) and the inactivityReminders settings.
+ *
+ * Each nudge that goes unanswered doubles the wait before the next one, and
+ * after maxNudges the user is left alone until they are active again.
+ * Nudges are delivered as jobs through the notification scheduler, which
+ * applies do-not-disturb and quiet hours.
+ */
+class InactivityNudges {
+  constructor(config = {}) {
+    this.config = {
+      maxNudges: 3,
+      maxCoachMessageLength: 160,
+      messages: [
+        { title: 'Still with you', body: 'Whenever you are ready, one small step is plenty.' },
+        { title: 'A gentle check-in', body: 'Want to pick something tiny to start with? Even two minutes counts.' },
+        { title: 'No pressure', body: 'Breaks are part of the process. Your list will be here when you want it.' }
+      ],
+      // Phrases that turn a nudge into a guilt trip; coach text using them is discarded
+      shamingPhrases: ['lazy', 'failure', 'failed', 'should have', 'disappointed', 'wasted', 'no excuse', 'falling behind'],
+      ...config
+    };
+  }
+
+  /**
+   * When the next nudge is due, or null when none should be sent.
+   * state: { lastActiveAt, nudgeCount, lastNudgeAt } from the user profile
+   */
+  getNextNudgeAt(state, reminderSettings, timeZone = 'UTC', now = new Date()) {
+    const duration = Number(reminderSettings?.duration);
+    const nudgeCount = state?.nudgeCount || 0;
+    if (!reminderSettings?.enabled || !state?.lastActiveAt || !(duration > 0) || nudgeCount >= this.config.maxNudges) {
+      return null;
+    }
+
+    const anchor = new Date(state.lastNudgeAt && nudgeCount > 0 ? state.lastNudgeAt : state.lastActiveAt);
+    let candidate = new Date(anchor.getTime() + duration * Math.pow(2, nudgeCount) * 60 * 1000);
+    if (candidate < now) {
+      candidate = now;
+    }
+
+    if (!reminderSettings.workHoursOnly || this.isWithinWorkHours(candidate, reminderSettings, timeZone)) {
+      return candidate;
+    }
+
+    // Idle time outside work hours doesn't count: wait a full idle window
+    // into the next work day instead of nudging first thing in the morning
+    const nextStart = this.getNextWorkStart(candidate, reminderSettings, timeZone);
+    const deferred = nextStart && new Date(nextStart.getTime() + duration * 60 * 1000);
+    return deferred && this.isWithinWorkHours(deferred, reminderSettings, timeZone) ? deferred : null;
+  }
+
+  /**
+   * The nudge as a notification scheduler job. The ID changes with every
+   * activity and every nudge sent, so a stale nudge is never re-armed.
+   */
+  buildJob(state, reminderSettings, timeZone = 'UTC', now = new Date()) {
+    const fireAt = this.getNextNudgeAt(state, reminderSettings, timeZone, now);
+    if (!fireAt) {
+      return null;
+    }
+
+    const nudgeCount = state.nudgeCount || 0;
+    const windowMs = reminderSettings.duration * 60 * 1000;
+    let expiresAt = new Date(fireAt.getTime() + windowMs);
+    if (reminderSettings.workHoursOnly) {
+      const workEnd = this.getWorkEnd(fireAt, reminderSettings, timeZone);
+      expiresAt = workEnd < expiresAt ? workEnd : expiresAt;
+    }
+
+    const message = this.pickMessage(state.lastActiveAt, nudgeCount);
+    return {
+      id: `nudge_${new Date(state.lastActiveAt).getTime()}_${nudgeCount}`,
+      kind: 'inactivity_nudge',
+      lastActiveAt: new Date(state.lastActiveAt).toISOString(),
+      fireAt: fireAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      title: message.title,
+      body: message.body,
+      data: { type: 'inactivity_nudge', nudge: String(nudgeCount + 1) }
+    };
+  }
+
+  /**
+   * Work hours are a daily HH:MM window; workHours.days (Sunday = 0)
+   * optionally limits which days count
+   */
+  isWithinWorkHours(date, reminderSettings, timeZone = 'UTC') {
+    const { start, end, days } = reminderSettings.workHours || {};
+    const startMinutes = this.parseTime(start);
+    const endMinutes = this.parseTime(end);
+    if (startMinutes === null || endMinutes === null) {
+      return true;
+    }
+
+    const parts = getZonedParts(date, timeZone);
+    const minutes = parts.hour * 60 + parts.minute;
+    if (Array.isArray(days) && days.length > 0 && !days.map(Number).includes(parts.weekday)) {
+      return false;
+    }
+    return minutes >= startMinutes && minutes < endMinutes;
+  }
+
+  getNextWorkStart(date, reminderSettings, timeZone = 'UTC') {
+    const { start, days } = reminderSettings.workHours || {};
+    const today = getLocalDateString(date, timeZone);
+
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = addDays(today, offset);
+      const candidate = zonedTimeToUtc(day, start, timeZone);
+      const allowed = !Array.isArray(days) || days.length === 0 || days.map(Number).includes(getWeekday(day));
+      if (allowed && candidate > date) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  getWorkEnd(date, reminderSettings, timeZone = 'UTC') {
+    return zonedTimeToUtc(getLocalDateString(date, timeZone), reminderSettings.workHours.end, timeZone);
+  }
+
+  /**
+   * A built-in message, varied per idle stretch so nudges don't repeat word for word
+   */
+  pickMessage(lastActiveAt, nudgeCount) {
+    const seed = crypto.createHash('sha256').update(String(lastActiveAt)).digest().readUInt8(0);
+    return this.config.messages[(seed + nudgeCount) % this.config.messages.length];
+  }
+
+  /**
+   * Coach-written nudge text, cleaned up, or null if it is unusable or
+   * sounds like blame
+   */
+  acceptCoachMessage(text) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+
+    const cleaned = text.trim().replace(/^["']+|["']+$/g, '').replace(/\s+/g, ' ');
+    const lower = cleaned.toLowerCase();
+    if (!cleaned || cleaned.length > this.config.maxCoachMessageLength ||
+        this.config.shamingPhrases.some(phrase => lower.includes(phrase))) {
+      return null;
+    }
+    return cleaned;
+  }
+
+  parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  }
+}
+
+module.exports = InactivityNudges;
@@ -0,0 +1,166 @@
+const { getZonedParts } = require('../utils/timeZoneUtils');
+
+/**
+ * Interruption Analyzer
+ * Categorizes distractions and interruptions logged during focus sessions and
+ * summarizes them into per-user patterns (common distractors, time of day,
+ * focus time before the first interruption)
+ */
+class InterruptionAnalyzer {
+  constructor(config = {}) {
+    this.config = {
+      maxNoteLength: 280,
+      topCategories: 5,
+      minSessionsForInsights: 3,
+      ...config
+    };
+
+    // 'distraction' comes from inside (wandering thoughts, phone urges),
+    // 'interruption' from outside (someone at the door, a call)
+    this.types = ['distraction', 'interruption'];
+
+    // Categories with keywords used to classify free-text notes
+    this.categories = {
+      phone: ['phone', 'notification', 'text', 'message', 'instagram', 'tiktok', 'social', 'scroll', 'email'],
+      person: ['person', 'someone', 'kid', 'child', 'partner', 'coworker', 'colleague', 'boss', 'roommate', 'visitor', 'door', 'call'],
+      thought: ['thought', 'remembered', 'idea', 'worry', 'mind', 'daydream', 'wondering'],
+      hunger: ['hunger', 'hungry', 'snack', 'food', 'eat', 'lunch', 'dinner', 'breakfast', 'coffee', 'thirsty', 'drink'],
+      noise: ['noise', 'loud', 'music', 'construction', 'neighbor', 'dog', 'barking'],
+      physical: ['tired', 'sleepy', 'restless', 'fidget', 'bathroom', 'pain', 'headache', 'uncomfortable'],
+      task_switch: ['other task', 'switched', 'another task', 'urgent', 'deadline'],
+      other: []
+    };
+  }
+
+  /**
+   * Build an interruption record for a session. `elapsedSeconds` is the
+   * session's focus clock at the time of logging.
+   */
+  createEntry({ type, category, note } = {}, elapsedSeconds = 0, now = new Date()) {
+    const entryType = type || 'distraction';
+    if (!this.types.includes(entryType)) {
+      throw new Error(`Interruption type must be one of: ${this.types.join(', ')}`);
+    }
+
+    if (category && !Object.prototype.hasOwnProperty.call(this.categories, category)) {
+      throw new Error(`Unknown interruption category: ${category}`);
+    }
+
+    const trimmedNote = typeof note === 'string' ? note.trim().slice(0, this.config.maxNoteLength) : '';
+
+    return {
+      id: 'interruption_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36),
+      type: entryType,
+      category: category || this.categorize(trimmedNote),
+      note: trimmedNote,
+      at: now,
+      elapsedSeconds: Math.max(0, Math.floor(elapsedSeconds))
+    };
+  }
+
+  /**
+   * Guess a category from a free-text note, falling back to 'other'
+   */
+  categorize(note) {
+    const text = (note || '').toLowerCase();
+    if (!text) return 'other';
+
+    for (const [category, keywords] of Object.entries(this.categories)) {
+      if (keywords.some(keyword => text.includes(keyword))) {
+        return category;
+      }
+    }
+
+    return 'other';
+  }
+
+  /**
+   * Summarize interruptions across a list of focus sessions, bucketing time
+   * of day in the user's time zone
+   */
+  analyze(sessions = [], timeZone = 'UTC') {
+    const entries = sessions.flatMap(session => (session.interruptions || []).map(entry => ({
+      ...entry,
+      at: this.toDate(entry.at)
+    })));
+
+    const categoryCounts = this.countBy(entries, entry => entry.category || 'other');
+    const typeCounts = this.countBy(entries, entry => entry.type || 'distraction');
+    const timeOfDay = this.countBy(entries, entry => this.getTimeSlot(getZonedParts(entry.at, timeZone).hour));
+
+    const topDistractors = Object.entries(categoryCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.config.topCategories)
+      .map(([category, count]) => ({
+        category,
+        count,
+        percentage: Math.round((count / entries.length) * 100)
+      }));
+
+    const peakTimeOfDay = Object.keys(timeOfDay).length > 0
+      ? Object.entries(timeOfDay).sort((a, b) => b[1] - a[1])[0][0]
+      : null;
+
+    // Focus length before the first interruption, only for sessions that had one
+    const firstInterruptions = sessions
+      .map(session => (session.interruptions || [])
+        .map(entry => entry.elapsedSeconds)
+        .filter(seconds => Number.isFinite(seconds)))
+      .filter(seconds => seconds.length > 0)
+      .map(seconds => Math.min(...seconds));
+
+    const sessionsWithInterruptions = firstInterruptions.length;
+
+    return {
+      totalSessions: sessions.length,
+      totalInterruptions: entries.length,
+      sessionsWithInterruptions,
+      interruptionRate: sessions.length > 0
+        ? Math.round((sessionsWithInterruptions / sessions.length) * 100)
+        : 0,
+      averagePerSession: sessions.length > 0
+        ? Math.round((entries.length / sessions.length) * 10) / 10
+        : 0,
+      averageFocusBeforeFirstInterruption: sessionsWithInterruptions > 0
+        ? Math.round(firstInterruptions.reduce((sum, seconds) => sum + seconds, 0) / sessionsWithInterruptions / 60)
+        : null, // minutes
+      topDistractors,
+      byType: typeCounts,
+      byTimeOfDay: timeOfDay,
+      peakTimeOfDay
+    };
+  }
+
+  /**
+   * Count entries by a key function
+   */
+  countBy(entries, keyFn) {
+    return entries.reduce((acc, entry) => {
+      const key = keyFn(entry);
+      acc[key] = (acc[key] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Time-of-day buckets, matching the server's analytics time slots
+   */
+  getTimeSlot(hour) {
+    if (hour < 6) return 'early_morning';
+    if (hour < 12) return 'morning';
+    if (hour < 17) return 'afternoon';
+    if (hour < 21) return 'evening';
+    return 'night';
+  }
+
+  /**
+   * Accept Dates, ISO strings and Firestore timestamps
+   */
+  toDate(value) {
+    if (value instanceof Date) return value;
+    if (value && typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+  }
+}
+
+module.exports = InterruptionAnalyzer;
@@ -1,10 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const DeletionRequestStore = require('./deletionRequestStore');
 
 /**
  * Log Retention and Deletion Service
- * Handles data retention policies and user log deletion requests
+ * Handles data retention policies and user log deletion requests.
+ * Deletion requests are persisted and worked through by a queue worker:
+ * pending -> processing -> completed, or back to pending for a retry until
+ * the attempts run out and the request is failed.
  */
 class LogRetentionService {
   constructor(config = {}) {
@@ -15,12 +19,29 @@ class LogRetentionService {
       purgeInterval: config.purgeInterval || 24 * 60 * 60 * 1000, // 24 hours
       logsDirectory: config.logsDirectory || path.join(__dirname, '../../logs'),
       backupDirectory: config.backupDirectory || path.join(__dirname, '../../logs/backup'),
+      enableWorker: config.enableWorker !== false,
+      workerInterval: 30 * 1000,
+      maxAttempts: 3,
+      retryDelay: 60 * 1000, // Doubles with every attempt
+      slaDays: 30, // GDPR: erase without undue delay, at the latest within a month
       ...config
     };
 
+    // null keeps requests in memory only
+    if (this.config.requestsFile === undefined) {
+      this.config.requestsFile = path.join(this.config.logsDirectory, 'deletion-requests.json');
+    }
+
+    this.requestStore = this.config.requestsFile ? new DeletionRequestStore(this.config.requestsFile) : null;
     this.deletionRequests = new Map();
+    this.deletionWaiters = new Map();
     this.retentionPolicies = new Map();
     this.purgeTimer = null;
+    this.workerTimer = null;
+    this.queueKick = null;
+    this.queueRunning = false;
+
+    this.loadDeletionRequests();
 
     // Default retention policies
     this.setRetentionPolicy('error', 90); // Keep error logs for 90 days
@@ -31,6 +52,10 @@ class LogRetentionService {
     if (this.config.enableAutoPurge) {
       this.startAutoPurge();
     }
+
+    if (this.config.enableWorker) {
+      this.startWorker();
+    }
   }
 
   /**
@@ -49,17 +74,26 @@ class LogRetentionService {
   }
 
   /**
-   * Request deletion of user logs
+   * Request deletion of user logs. The request is stored and queued; pass
+   * `wait: true` to resolve only once it has completed or failed. With the
+   * worker disabled nothing else would pick a waited-for request up, so its
+   * attempts run right away, without the retry delay.
    */
-  async requestUserLogDeletion(userId, reason = 'user_request') {
+  async requestUserLogDeletion(userId, reason = 'user_request', { wait = false } = {}) {
     const requestId = crypto.randomUUID();
+    const requestedAt = new Date();
     const request = {
       id: requestId,
       userId,
       reason,
-      requestedAt: new Date(),
+      requestedAt,
+      dueBy: new Date(requestedAt.getTime() + this.config.slaDays * 24 * 60 * 60 * 1000),
       status: 'pending',
+      attempts: 0,
+      startedAt: null,
       processedAt: null,
+      nextAttemptAt: null,
+      lastError: null,
       deletedFiles: [],
       errors: []
     };
@@ -67,18 +101,78 @@ class LogRetentionService {
     this.deletionRequests.set(requestId, request);
 
     try {
-      await this.processUserLogDeletion(requestId);
-      return { success: true, requestId, deletedFiles: request.deletedFiles };
+      this.persistDeletionRequests();
     } catch (error) {
-      request.status = 'failed';
-      request.errors.push(error.message);
-      console.error('User log deletion failed:', error);
+      this.deletionRequests.delete(requestId);
+      console.error('Failed to store user log deletion request:', error);
       return { success: false, requestId, error: error.message };
     }
+
+    this.kickQueue();
+
+    if (!wait) {
+      return { success: true, requestId, status: request.status };
+    }
+
+    if (!this.config.enableWorker) {
+      while (request.status === 'pending') {
+        await this.processUserLogDeletion(requestId);
+      }
+    }
+
+    const finished = await this.waitForDeletion(requestId);
+    return finished.status === 'completed'
+      ? { success: true, requestId, status: finished.status, deletedFiles: finished.deletedFiles }
+      : { success: false, requestId, status: finished.status, error: finished.lastError };
   }
 
   /**
-   * Process user log deletion request
+   * Resolves with the request once it has completed or failed
+   */
+  waitForDeletion(requestId) {
+    const request = this.deletionRequests.get(requestId);
+    if (!request) {
+      return Promise.reject(new Error('Deletion request not found'));
+    }
+    if (['completed', 'failed'].includes(request.status)) {
+      return Promise.resolve(request);
+    }
+
+    return new Promise(resolve => {
+      const waiters = this.deletionWaiters.get(requestId) || [];
+      waiters.push(resolve);
+      this.deletionWaiters.set(requestId, waiters);
+    });
+  }
+
+  /**
+   * Process pending requests that are due, oldest first
+   */
+  async processQueue(now = new Date()) {
+    if (this.queueRunning) {
+      return 0;
+    }
+
+    this.queueRunning = true;
+    let processed = 0;
+    try {
+      for (const request of this.deletionRequests.values()) {
+        if (request.status !== 'pending' || (request.nextAttemptAt && request.nextAttemptAt > now)) {
+          continue;
+        }
+        await this.processUserLogDeletion(request.id);
+        processed++;
+      }
+    } finally {
+      this.queueRunning = false;
+    }
+    return processed;
+  }
+
+  /**
+   * Process user log deletion request. Any file that could not be cleaned
+   * fails the attempt; files already cleaned have nothing left to delete,
+   * so a retry only redoes the ones that failed.
    */
   async processUserLogDeletion(requestId) {
     const request = this.deletionRequests.get(requestId);
@@ -87,12 +181,18 @@ class LogRetentionService {
     }
 
     request.status = 'processing';
+    request.attempts++;
+    request.startedAt = request.startedAt || new Date();
+    request.nextAttemptAt = null;
+    this.persistDeletionRequests();
+
     const { userId } = request;
+    const failures = [];
 
     try {
       // Find all log files
       const logFiles = await this.findLogFiles();
-      
+
       for (const filePath of logFiles) {
         try {
           const deletedCount = await this.deleteUserLogsFromFile(filePath, userId);
@@ -103,23 +203,170 @@ class LogRetentionService {
             });
           }
         } catch (error) {
-          request.errors.push(`Failed to process ${filePath}: ${error.message}`);
+          failures.push(`Failed to process ${filePath}: ${error.message}`);
         }
       }
+    } catch (error) {
+      failures.push(error.message);
+    }
 
+    if (failures.length === 0) {
       request.status = 'completed';
       request.processedAt = new Date();
-      
+      request.lastError = null;
+
       console.log(`User log deletion completed for user ${userId}:`, {
         requestId,
         deletedFiles: request.deletedFiles.length,
-        errors: request.errors.length
+        attempts: request.attempts
       });
+    } else {
+      request.errors.push(...failures.map(failure => `Attempt ${request.attempts}: ${failure}`));
+      request.lastError = failures[failures.length - 1];
+
+      if (request.attempts >= this.config.maxAttempts) {
+        request.status = 'failed';
+        request.processedAt = new Date();
+        console.error(`User log deletion failed for user ${userId} after ${request.attempts} attempts:`, request.lastError);
+      } else {
+        request.status = 'pending';
+        request.nextAttemptAt = new Date(Date.now() + this.config.retryDelay * Math.pow(2, request.attempts - 1));
+      }
+    }
 
-    } catch (error) {
-      request.status = 'failed';
-      request.errors.push(error.message);
-      throw error;
+    this.persistDeletionRequests();
+    this.notifyDeletionWaiters(request);
+    return request;
+  }
+
+  /**
+   * Put a failed request back in the queue with a fresh set of attempts
+   */
+  retryDeletionRequest(requestId) {
+    const request = this.deletionRequests.get(requestId);
+    if (!request) {
+      throw new Error('Deletion request not found');
+    }
+    if (request.status !== 'failed') {
+      throw new Error(`Only failed requests can be retried (request is ${request.status})`);
+    }
+
+    request.status = 'pending';
+    request.attempts = 0;
+    request.processedAt = null;
+    request.nextAttemptAt = null;
+    this.persistDeletionRequests();
+    this.kickQueue();
+    return request;
+  }
+
+  /**
+   * Outstanding requests and how they stand against the SLA, for admins
+   */
+  getDeletionQueueReport(now = new Date()) {
+    const hours = ms => Math.round(ms / (60 * 60 * 1000) * 10) / 10;
+    const requests = [...this.deletionRequests.values()];
+    const counts = { pending: 0, processing: 0, completed: 0, failed: 0 };
+    requests.forEach(request => { counts[request.status] = (counts[request.status] || 0) + 1; });
+
+    const outstanding = requests
+      .filter(request => request.status !== 'completed')
+      .map(request => ({
+        id: request.id,
+        userId: request.userId,
+        status: request.status,
+        reason: request.reason,
+        requestedAt: request.requestedAt,
+        dueBy: request.dueBy,
+        ageHours: hours(now - request.requestedAt),
+        hoursUntilDue: hours(request.dueBy - now),
+        overdue: request.dueBy <= now,
+        attempts: request.attempts,
+        nextAttemptAt: request.nextAttemptAt,
+        lastError: request.lastError
+      }))
+      .sort((a, b) => a.dueBy - b.dueBy);
+
+    const completionTimes = requests
+      .filter(request => request.status === 'completed')
+      .map(request => request.processedAt - request.requestedAt);
+
+    return {
+      slaDays: this.config.slaDays,
+      counts,
+      overdue: outstanding.filter(request => request.overdue).length,
+      outstanding,
+      completion: {
+        completed: completionTimes.length,
+        withinSla: completionTimes.filter(time => time <= this.config.slaDays * 24 * 60 * 60 * 1000).length,
+        averageHours: completionTimes.length > 0
+          ? hours(completionTimes.reduce((sum, time) => sum + time, 0) / completionTimes.length)
+          : null,
+        maxHours: completionTimes.length > 0 ? hours(Math.max(...completionTimes)) : null
+      }
+    };
+  }
+
+  /**
+   * Load stored requests. Requests that were processing when the process
+   * stopped go back to pending; deleting a user's entries twice is harmless.
+   */
+  loadDeletionRequests() {
+    if (!this.requestStore) return;
+
+    for (const request of this.requestStore.load()) {
+      if (request.status === 'processing') {
+        request.status = 'pending';
+      }
+      this.deletionRequests.set(request.id, request);
+    }
+  }
+
+  persistDeletionRequests() {
+    if (this.requestStore) {
+      this.requestStore.save([...this.deletionRequests.values()]);
+    }
+  }
+
+  notifyDeletionWaiters(request) {
+    if (!['completed', 'failed'].includes(request.status)) return;
+
+    const waiters = this.deletionWaiters.get(request.id) || [];
+    this.deletionWaiters.delete(request.id);
+    waiters.forEach(resolve => resolve(request));
+  }
+
+  /**
+   * Start processing right away instead of on the next worker tick
+   */
+  kickQueue() {
+    if (!this.config.enableWorker || this.queueKick) return;
+
+    this.queueKick = setImmediate(() => {
+      this.queueKick = null;
+      this.processQueue().catch(error => console.error('Deletion queue failed:', error));
+    });
+  }
+
+  startWorker() {
+    this.stopWorker();
+
+    this.workerTimer = setInterval(() => {
+      this.processQueue().catch(error => console.error('Deletion queue failed:', error));
+    }, this.config.workerInterval);
+    // Don't keep the process alive just for the queue
+    this.workerTimer.unref?.();
+    this.kickQueue();
+  }
+
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer);
+      this.workerTimer = null;
+    }
+    if (this.queueKick) {
+      clearImmediate(this.queueKick);
+      this.queueKick = null;
     }
   }
 
@@ -516,6 +763,7 @@ class LogRetentionService {
    */
   shutdown() {
     this.stopAutoPurge();
+    this.stopWorker();
     console.log('Log retention service shutdown');
   }
 }
@@ -42,7 +42,9 @@ const logEncryption = new LogEncryptionService({
 const logRetention = new LogRetentionService({
   retentionDays: parseInt(process.env.LOG_RETENTION_DAYS) || 30,
   enableAutoPurge: process.env.ENABLE_AUTO_PURGE !== 'false',
-  logsDirectory: logsDir
+  logsDirectory: logsDir,
+  // The server's retention service owns the persisted deletion queue
+  requestsFile: null
 });
 if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
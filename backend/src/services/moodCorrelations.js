@@ -0,0 +1,385 @@
+const RoutineRunTracker = require('./routineRuns');
+const { getLocalDateString, getZonedParts } = require('../utils/timeZoneUtils');
+
+/**
+ * Mood Correlations
+ * Relates how a user felt to how their day went. Each local day gets a set
+ * of factors (moods logged in the journal or on task completion, energy
+ * level, sleep quality) and outcomes (routine step completion rate, routine
+ * success by time of day, todos completed, focus minutes). For every factor
+ * the outcome on days with it is compared to days without it using Welch's
+ * t-test; a finding is only reported when both groups reach the minimum
+ * sample size. Since every factor is tested against every outcome, p-values
+ * are adjusted with Benjamini-Hochberg across all tests of an analysis, and
+ * a finding's confidence is 1 - adjusted p.
+ */
+class MoodCorrelations {
+  constructor(config = {}) {
+    this.config = {
+      minSamples: 5, // Days needed in each group
+      minConfidence: 0.9,
+      minEffect: 0.1, // Relative change below 10% is not worth reporting
+      highEnergy: 7, // 1-10 scale
+      goodSleep: 7, // 1-10 scale
+      maxFindings: 20,
+      ...config
+    };
+
+    this.tracker = new RoutineRunTracker();
+
+    this.outcomes = {
+      completionRate: { label: 'routine completion rate', kind: 'rate' },
+      morningRoutines: { label: 'morning routines succeed', kind: 'success' },
+      afternoonRoutines: { label: 'afternoon routines succeed', kind: 'success' },
+      eveningRoutines: { label: 'evening routines succeed', kind: 'success' },
+      todosCompleted: { label: 'todos completed', kind: 'count' },
+      focusMinutes: { label: 'focus time', kind: 'count' }
+    };
+  }
+
+  /**
+   * Per-day factors and outcomes from rollups, routine runs and journal
+   * entries. Rollups supply daily totals and journal moods; runs supply the
+   * mood and energy captured on task completion and routine success by time
+   * of day; journal entries supply sleep quality.
+   */
+  buildDays({ rollups = [], runs = [], journalEntries = [], routines = new Map(), timeZone = 'UTC' }) {
+    const days = new Map();
+    const getDay = date => {
+      if (!days.has(date)) {
+        days.set(date, { date, moods: new Set(), energy: [], sleep: [], routines: {}, outcomes: {} });
+      }
+      return days.get(date);
+    };
+
+    for (const rollup of rollups) {
+      const day = getDay(rollup.date);
+      Object.entries(rollup.moods?.byMood || {})
+        .filter(([, count]) => count > 0)
+        .forEach(([mood]) => day.moods.add(mood));
+
+      const attempted = (rollup.completions?.routineSteps || 0) + (rollup.skips?.routineSteps || 0);
+      if (attempted > 0) {
+        day.outcomes.completionRate = rollup.completions.routineSteps / attempted;
+      }
+      day.outcomes.todosCompleted = rollup.completions?.todos || 0;
+      day.outcomes.focusMinutes = rollup.focusMinutes || 0;
+    }
+
+    for (const run of runs) {
+      const day = getDay(run.date);
+      for (const task of run.tasks || []) {
+        if (task.mood) day.moods.add(this.normalizeMood(task.mood));
+        if (task.energyLevel > 0) day.energy.push(Number(task.energyLevel));
+      }
+
+      if (this.tracker.finishedStatuses.includes(run.status)) {
+        const slot = this.getRunTimeOfDay(run, routines.get(run.routineId), timeZone);
+        if (slot) {
+          const results = day.routines[slot] || [];
+          results.push(this.tracker.getSuccessLevel(run) !== 'none' ? 1 : 0);
+          day.routines[slot] = results;
+        }
+      }
+    }
+
+    for (const entry of journalEntries) {
+      const quality = Number(entry.sleepQuality);
+      if (entry.createdAt && quality > 0) {
+        getDay(getLocalDateString(this.tracker.toDate(entry.createdAt), timeZone)).sleep.push(quality);
+      }
+    }
+
+    for (const day of days.values()) {
+      for (const [slot, results] of Object.entries(day.routines)) {
+        day.outcomes[`${slot}Routines`] = results.reduce((sum, value) => sum + value, 0) / results.length;
+      }
+    }
+
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Factors present on a day. Each factor is only defined on days where it
+   * could be observed: moods on days with any mood logged, energy on days
+   * with an energy rating, sleep on days with a sleep rating.
+   */
+  getFactors(day, knownMoods) {
+    const factors = {};
+
+    if (day.moods.size > 0) {
+      for (const mood of knownMoods) {
+        factors[`mood:${mood}`] = day.moods.has(mood);
+      }
+    }
+    if (day.energy.length > 0) {
+      factors['energy:high'] = this.mean(day.energy) >= this.config.highEnergy;
+    }
+    if (day.sleep.length > 0) {
+      factors['sleep:good'] = this.mean(day.sleep) >= this.config.goodSleep;
+    }
+
+    return factors;
+  }
+
+  /**
+   * Correlations between every factor and outcome, strongest first. Pairs
+   * without enough days in both groups are counted in `insufficient`.
+   */
+  analyze(days, { includeWeak = false } = {}) {
+    const knownMoods = new Set(days.flatMap(day => [...day.moods]));
+    const factorDays = days.map(day => ({ day, factors: this.getFactors(day, knownMoods) }));
+    const factorNames = [...new Set(factorDays.flatMap(({ factors }) => Object.keys(factors)))];
+
+    const tested = [];
+    let insufficient = 0;
+
+    for (const factor of factorNames) {
+      for (const outcome of Object.keys(this.outcomes)) {
+        const withFactor = [];
+        const without = [];
+        for (const { day, factors } of factorDays) {
+          const value = day.outcomes[outcome];
+          if (factors[factor] === undefined || value === undefined) continue;
+          (factors[factor] ? withFactor : without).push(value);
+        }
+
+        if (withFactor.length < this.config.minSamples || without.length < this.config.minSamples) {
+          insufficient++;
+          continue;
+        }
+
+        tested.push(this.compare(factor, outcome, withFactor, without));
+      }
+    }
+
+    const findings = this.adjustPValues(tested).filter(finding => includeWeak ||
+      (finding.confidence >= this.config.minConfidence && Math.abs(finding.change) >= this.config.minEffect));
+
+    findings.sort((a, b) => (b.confidence * Math.abs(b.change)) - (a.confidence * Math.abs(a.change)));
+
+    return {
+      findings: findings.slice(0, this.config.maxFindings),
+      daysAnalyzed: days.length,
+      tests: tested.length,
+      insufficient,
+      minSamples: this.config.minSamples,
+      minConfidence: this.config.minConfidence
+    };
+  }
+
+  /**
+   * Benjamini-Hochberg adjusted p-values (controlling the false discovery
+   * rate across all tests) and the confidence that follows from them
+   */
+  adjustPValues(findings) {
+    const ordered = findings
+      .map((finding, index) => ({ index, p: finding.rawPValue }))
+      .sort((a, b) => a.p - b.p);
+    const adjusted = new Array(findings.length);
+
+    let running = 1;
+    for (let rank = ordered.length; rank >= 1; rank--) {
+      const { index, p } = ordered[rank - 1];
+      running = Math.min(running, p * ordered.length / rank);
+      adjusted[index] = running;
+    }
+
+    return findings.map(({ rawPValue, ...finding }, index) => ({
+      ...finding,
+      adjustedPValue: this.round(adjusted[index], 4),
+      confidence: this.round(1 - adjusted[index], 4)
+    }));
+  }
+
+  /**
+   * Compare an outcome on days with a factor against days without it.
+   * Confidence here is for this test alone; analyze() corrects it for
+   * multiple comparisons.
+   */
+  compare(factor, outcome, withFactor, without) {
+    const meanWith = this.mean(withFactor);
+    const meanWithout = this.mean(without);
+    const { t, df, p } = this.welchTest(withFactor, without);
+    // Relative change; without a baseline the absolute difference stands in
+    const change = meanWithout !== 0 ? (meanWith - meanWithout) / Math.abs(meanWithout) : meanWith - meanWithout;
+
+    const finding = {
+      factor,
+      outcome,
+      meanWith: this.round(meanWith),
+      meanWithout: this.round(meanWithout),
+      change: this.round(change),
+      samples: { with: withFactor.length, without: without.length },
+      t: this.round(t),
+      df: this.round(df, 1),
+      pValue: this.round(p, 4),
+      confidence: this.round(1 - p, 4)
+    };
+
+    // The unrounded p-value is kept for the multiple-comparison adjustment
+    return { ...finding, rawPValue: p, message: this.describe(finding) };
+  }
+
+  /**
+   * "On days you log 'anxious' your routine completion rate drops 35%"
+   */
+  describe({ factor, outcome, change }) {
+    const [type, value] = factor.split(':');
+    const { label, kind } = this.outcomes[outcome];
+    const percent = `${Math.round(Math.abs(change) * 100)}%`;
+    const rises = change >= 0;
+
+    if (kind === 'success') {
+      const condition = {
+        mood: `on days you log '${value}'`,
+        energy: 'on high-energy days',
+        sleep: 'after good sleep'
+      }[type];
+      const capitalized = label.charAt(0).toUpperCase() + label.slice(1);
+      return `${capitalized} ${percent} ${rises ? 'more' : 'less'} often ${condition}`;
+    }
+
+    const condition = {
+      mood: `On days you log '${value}'`,
+      energy: 'On high-energy days',
+      sleep: 'After good sleep'
+    }[type];
+    return `${condition} your ${label} ${rises ? 'rises' : 'drops'} ${percent}`;
+  }
+
+  /**
+   * Welch's t-test for two independent samples; p is two-sided
+   */
+  welchTest(a, b) {
+    const meanA = this.mean(a);
+    const meanB = this.mean(b);
+    const varA = this.variance(a, meanA) / a.length;
+    const varB = this.variance(b, meanB) / b.length;
+    const standardError = Math.sqrt(varA + varB);
+
+    if (standardError === 0) {
+      return { t: 0, df: a.length + b.length - 2, p: meanA === meanB ? 1 : 0 };
+    }
+
+    const t = (meanA - meanB) / standardError;
+    const df = (varA + varB) ** 2 /
+      ((varA ** 2) / (a.length - 1) + (varB ** 2) / (b.length - 1));
+
+    return { t, df, p: this.studentTwoTailedP(t, df) };
+  }
+
+  /**
+   * Two-sided p-value of Student's t distribution
+   */
+  studentTwoTailedP(t, df) {
+    return this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b) (continued fraction)
+   */
+  incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    // The continued fraction converges quickly for x < (a + 1) / (a + b + 2)
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - this.incompleteBeta(1 - x, b, a);
+    }
+
+    const front = Math.exp(
+      this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = Math.abs(d) < 1e-30 ? 1e-30 : d;
+    d = 1 / d;
+    let result = d;
+
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      let term = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + term * d;
+      d = Math.abs(d) < 1e-30 ? 1e-30 : d;
+      c = 1 + term / c;
+      c = Math.abs(c) < 1e-30 ? 1e-30 : c;
+      d = 1 / d;
+      result *= d * c;
+
+      term = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + term * d;
+      d = Math.abs(d) < 1e-30 ? 1e-30 : d;
+      c = 1 + term / c;
+      c = Math.abs(c) < 1e-30 ? 1e-30 : c;
+      d = 1 / d;
+      const delta = d * c;
+      result *= delta;
+
+      if (Math.abs(delta - 1) < 1e-10) break;
+    }
+
+    return front * result / a;
+  }
+
+  /**
+   * Lanczos approximation of ln(Gamma(x))
+   */
+  logGamma(x) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) {
+      series += coefficient / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+  }
+
+  /**
+   * Time of day a routine run belongs to: the routine's start time, else
+   * when its first task was completed
+   */
+  getRunTimeOfDay(run, routine, timeZone) {
+    let hour = null;
+    if (/^\d{1,2}:\d{2}$/.test(routine?.startTime || '')) {
+      hour = parseInt(routine.startTime.split(':')[0]);
+    } else {
+      const firstCompletion = (run.tasks || [])
+        .filter(task => task.completedAt)
+        .map(task => this.tracker.toDate(task.completedAt))
+        .sort((a, b) => a - b)[0];
+      if (firstCompletion) {
+        hour = getZonedParts(firstCompletion, timeZone).hour;
+      }
+    }
+
+    if (hour === null) return null;
+    if (hour < 12) return 'morning';
+    if (hour < 17) return 'afternoon';
+    return 'evening';
+  }
+
+  normalizeMood(mood) {
+    return String(mood).trim().toLowerCase().replace(/[.~*/[\]`]/g, '_');
+  }
+
+  mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  variance(values, mean) {
+    return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  }
+
+  round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = MoodCorrelations;
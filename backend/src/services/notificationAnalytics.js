@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { getZonedParts } = require('../utils/timeZoneUtils');
+
+/**
+ * Notification Analytics
+ * Tracks what happened to each notification after it was sent (delivered,
+ * opened, dismissed, acted on) and measures which notification types,
+ * times of day and reminder lead times are followed by a completed task or
+ * routine step. From that it learns a user's best task reminder lead time
+ * and the best hour for all-day reminders.
+ *
+ * Rates are smoothed towards the user's overall rate so a handful of
+ * notifications can't swing the result, and a small share of reminders
+ * tries other lead times so the choice keeps being tested.
+ */
+class NotificationAnalytics {
+  constructor(config = {}) {
+    this.config = {
+      events: ['delivered', 'opened', 'dismissed', 'acted_on'],
+      conversionWindowMinutes: 120, // A completion this soon after a send counts for it
+      leadCandidates: [15, 30, 60, 120, 240],
+      minSamples: 5, // Per lead time or hour before it can be chosen
+      priorWeight: 4,
+      explorationRate: 0.1,
+      reminderHours: [7, 21], // All-day reminders are only moved within these hours
+      ...config
+    };
+  }
+
+  /**
+   * History fields to update for a client-reported event, or null when the
+   * event was already recorded. The first report of each event wins.
+   */
+  applyEvent(entry, event, occurredAt = new Date()) {
+    if (!this.config.events.includes(event)) {
+      throw new Error(`Event must be one of: ${this.config.events.join(', ')}`);
+    }
+    if (entry.events?.[event]) {
+      return null;
+    }
+
+    const updates = { [`events.${event}`]: occurredAt.toISOString() };
+    // Opening or acting on a notification proves it was delivered
+    if (event !== 'delivered' && !entry.events?.delivered) {
+      updates['events.delivered'] = occurredAt.toISOString();
+    }
+    return updates;
+  }
+
+  /**
+   * Sent notifications with their outcome. completions: [{ at, todoId }]
+   * for completed todos and routine steps.
+   */
+  getOutcomes(notifications, completions) {
+    const windowMs = this.config.conversionWindowMinutes * 60 * 1000;
+    const sortedCompletions = completions
+      .map(completion => ({ ...completion, at: new Date(completion.at) }))
+      .filter(completion => !isNaN(completion.at))
+      .sort((a, b) => a.at - b.at);
+
+    return notifications
+      .filter(notification => notification.status === 'sent' && notification.sentAt)
+      .map(notification => {
+        const sentAt = new Date(notification.sentAt);
+        const data = notification.data || {};
+        const events = notification.events || {};
+        // A task reminder only converts when its own todo gets done
+        const completed = sortedCompletions.some(completion =>
+          completion.at >= sentAt &&
+          completion.at - sentAt <= windowMs &&
+          (!data.todoId || completion.todoId === data.todoId)
+        );
+
+        return {
+          sentAt,
+          type: notification.template || data.type || 'custom',
+          lead: data.lead ? Number(data.lead) : null,
+          allDay: data.allDay === 'true',
+          delivered: !!events.delivered,
+          opened: !!events.opened,
+          dismissed: !!events.dismissed,
+          actedOn: !!events.acted_on,
+          completed
+        };
+      });
+  }
+
+  /**
+   * Totals by notification type, local hour of day and reminder lead time
+   */
+  summarize(outcomes, timeZone = 'UTC') {
+    const summary = { totals: this.emptyStats(), byType: {}, byHour: {}, byLead: {} };
+
+    for (const outcome of outcomes) {
+      const hour = getZonedParts(outcome.sentAt, timeZone).hour;
+      const buckets = [
+        summary.totals,
+        summary.byType[outcome.type] = summary.byType[outcome.type] || this.emptyStats(),
+        summary.byHour[hour] = summary.byHour[hour] || this.emptyStats()
+      ];
+      if (outcome.type === 'task_reminder' && outcome.lead !== null) {
+        buckets.push(summary.byLead[outcome.lead] = summary.byLead[outcome.lead] || this.emptyStats());
+      }
+
+      for (const stats of buckets) {
+        stats.sent++;
+        stats.delivered += outcome.delivered ? 1 : 0;
+        stats.opened += outcome.opened ? 1 : 0;
+        stats.dismissed += outcome.dismissed ? 1 : 0;
+        stats.actedOn += outcome.actedOn ? 1 : 0;
+        stats.completed += outcome.completed ? 1 : 0;
+      }
+    }
+
+    for (const stats of [summary.totals, ...Object.values(summary.byType), ...Object.values(summary.byHour), ...Object.values(summary.byLead)]) {
+      stats.openRate = stats.sent ? Math.round(stats.opened / stats.sent * 100) / 100 : 0;
+      stats.completionRate = stats.sent ? Math.round(stats.completed / stats.sent * 100) / 100 : 0;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Best task reminder lead time and all-day reminder hour, where the data
+   * supports one
+   */
+  learn(outcomes, timeZone = 'UTC') {
+    const taskOutcomes = outcomes.filter(outcome => outcome.type === 'task_reminder');
+    const baseline = taskOutcomes.length
+      ? taskOutcomes.filter(outcome => outcome.completed).length / taskOutcomes.length
+      : 0;
+
+    const leadStats = this.groupRates(taskOutcomes.filter(outcome => outcome.lead !== null && !outcome.allDay), outcome => outcome.lead, baseline);
+    const [minHour, maxHour] = this.config.reminderHours;
+    const hourStats = this.groupRates(
+      taskOutcomes.filter(outcome => outcome.allDay),
+      outcome => getZonedParts(outcome.sentAt, timeZone).hour,
+      baseline
+    ).filter(({ key }) => key >= minHour && key <= maxHour);
+
+    const bestHour = this.pickBest(hourStats);
+    return {
+      taskLeadMinutes: this.pickBest(leadStats),
+      allDayReminderTime: bestHour === null ? null : `${String(bestHour).padStart(2, '0')}:00`,
+      samples: taskOutcomes.length
+    };
+  }
+
+  /**
+   * Lead times for a task reminder: the learned one, or now and then a
+   * neighbouring candidate so other lead times keep getting tried.
+   * `key` makes the choice stable for a given reminder across re-planning.
+   */
+  chooseTaskTimings(timings, learning, key) {
+    const learned = learning?.taskLeadMinutes;
+    if (!learned) {
+      return timings;
+    }
+
+    const roll = crypto.createHash('sha256').update(String(key)).digest().readUInt16BE(0) / 0x10000;
+    if (roll >= this.config.explorationRate) {
+      return [learned];
+    }
+
+    const candidates = this.config.leadCandidates;
+    const index = candidates.indexOf(learned);
+    const neighbours = [candidates[index - 1], candidates[index + 1]].filter(Boolean);
+    if (index === -1 || neighbours.length === 0) {
+      return [learned];
+    }
+    return [neighbours[Math.floor(roll / this.config.explorationRate * neighbours.length)]];
+  }
+
+  groupRates(outcomes, getKey, baseline) {
+    const groups = new Map();
+    for (const outcome of outcomes) {
+      const key = getKey(outcome);
+      const group = groups.get(key) || { key, sent: 0, completed: 0 };
+      group.sent++;
+      group.completed += outcome.completed ? 1 : 0;
+      groups.set(key, group);
+    }
+
+    const prior = this.config.priorWeight;
+    return [...groups.values()].map(group => ({
+      ...group,
+      score: (group.completed + baseline * prior) / (group.sent + prior)
+    }));
+  }
+
+  pickBest(stats) {
+    const eligible = stats.filter(group => group.sent >= this.config.minSamples);
+    if (eligible.length === 0) {
+      return null;
+    }
+    return eligible.sort((a, b) => b.score - a.score || a.key - b.key)[0].key;
+  }
+
+  emptyStats() {
+    return { sent: 0, delivered: 0, opened: 0, dismissed: 0, actedOn: 0, completed: 0 };
+  }
+}
+
+module.exports = NotificationAnalytics;
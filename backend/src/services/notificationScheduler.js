@@ -0,0 +1,359 @@
+const {
+  getZonedParts,
+  getLocalDateString,
+  zonedTimeToUtc,
+  addDays,
+  getWeekday
+} = require('../utils/timeZoneUtils');
+const NotificationAnalytics = require('./notificationAnalytics');
+
+/**
+ * Notification Scheduler
+ * Turns a user's agenda (due todos and timed routines) and notification
+ * settings into reminder jobs, and decides what happens to each job when it
+ * comes due: send it, hold it until do-not-disturb or quiet hours end, or
+ * drop it when it is no longer useful.
+ *
+ * Jobs are plain objects persisted by the caller. Firing goes through
+ * handlers (claimDue, getRecipient, send, complete) so storage and the push
+ * transport can be swapped out, and the clock is injectable via `now`.
+ */
+class NotificationScheduler {
+  constructor(config = {}) {
+    this.config = {
+      horizonHours: 48, // How far ahead reminders are planned
+      maxLatenessMinutes: 30, // Jobs found later than this (e.g. after downtime) are dropped
+      leaseMinutes: 5, // A claimed job becomes due again if its sender disappears
+      batchSize: 50,
+      maxAttempts: 3,
+      retryDelayMinutes: 1,
+      retentionDays: 7, // Finished jobs are kept this long for history
+      allDayReminderTime: '09:00',
+      now: () => new Date(),
+      ...config
+    };
+
+    // Settings section that switches each kind of job on or off
+    this.settingKeys = {
+      task_reminder: 'taskReminders',
+      routine_reminder: 'routineNotifications',
+      inactivity_nudge: 'inactivityReminders'
+    };
+
+    this.analytics = new NotificationAnalytics();
+  }
+
+  /**
+   * Reminder jobs for agenda items (as built for /api/schedule) that fire
+   * between now and the planning horizon. `learning` (from
+   * NotificationAnalytics.learn) replaces the configured task reminder
+   * timings unless taskReminders.adaptive is false.
+   */
+  planJobs(items, settings, { timeZone = 'UTC', now = this.config.now(), learning = null } = {}) {
+    const jobs = [];
+    const adaptiveLearning = settings.taskReminders?.adaptive === false ? null : learning;
+
+    for (const item of items) {
+      if (item.type === 'todo' && settings.taskReminders?.enabled !== false) {
+        jobs.push(...this.planTaskReminders(item, settings, timeZone, adaptiveLearning));
+      } else if (item.type === 'routine' && settings.routineNotifications?.enabled !== false) {
+        jobs.push(...this.planRoutineReminder(item, settings));
+      }
+    }
+
+    return this.withinHorizon(jobs, now);
+  }
+
+  /**
+   * Jobs firing between now and the planning horizon
+   */
+  withinHorizon(jobs, now = this.config.now()) {
+    const horizon = new Date(now.getTime() + this.config.horizonHours * 60 * 60 * 1000);
+    return jobs.filter(job => new Date(job.fireAt) >= now && new Date(job.fireAt) <= horizon);
+  }
+
+  planTaskReminders(item, settings, timeZone, learning = null) {
+    if (item.completed) {
+      return [];
+    }
+
+    const data = { type: 'task_reminder', todoId: String(item.todoId), date: item.date };
+
+    // All-day todos have no time to count back from; remind once that morning
+    if (item.allDay) {
+      const reminderTime = learning?.allDayReminderTime || this.config.allDayReminderTime;
+      return [{
+        id: `task_${item.todoId}_${item.date}_day`,
+        kind: 'task_reminder',
+        fireAt: zonedTimeToUtc(item.date, reminderTime, timeZone).toISOString(),
+        expiresAt: zonedTimeToUtc(addDays(item.date, 1), '00:00', timeZone).toISOString(),
+        title: item.title,
+        body: 'Due today',
+        data: { ...data, allDay: 'true' }
+      }];
+    }
+
+    const start = new Date(item.start);
+    const configured = [...new Set((settings.taskReminders?.timings || [])
+      .map(Number)
+      .filter(minutes => Number.isFinite(minutes) && minutes >= 0))];
+    const timings = this.analytics.chooseTaskTimings(configured, learning, `${item.todoId}_${item.date}`);
+
+    return timings.map(minutes => ({
+      id: `task_${item.todoId}_${item.date}_${minutes}`,
+      kind: 'task_reminder',
+      fireAt: new Date(start.getTime() - minutes * 60 * 1000).toISOString(),
+      expiresAt: start.toISOString(),
+      title: item.title,
+      body: minutes === 0 ? 'Due now' : `Due in ${this.describeLead(minutes)}`,
+      data: { ...data, lead: String(minutes) }
+    }));
+  }
+
+  planRoutineReminder(item, settings) {
+    if (item.allDay || ['completed', 'skipped'].includes(item.runStatus)) {
+      return [];
+    }
+
+    const minutes = Math.max(0, Number(settings.routineNotifications?.advanceWarning) || 0);
+    const start = new Date(item.start);
+
+    return [{
+      id: `routine_${item.routineId}_${item.date}`,
+      kind: 'routine_reminder',
+      fireAt: new Date(start.getTime() - minutes * 60 * 1000).toISOString(),
+      expiresAt: start.toISOString(),
+      title: item.title,
+      body: minutes === 0 ? 'Starting now' : `Starts in ${this.describeLead(minutes)}`,
+      data: { type: 'routine_reminder', routineId: String(item.routineId), date: item.date }
+    }];
+  }
+
+  /**
+   * Writes needed to bring stored jobs in line with a fresh plan. Pending jobs
+   * that are no longer planned (todo done, routine moved) are cancelled; jobs
+   * that already fired are only re-armed if their time changed.
+   */
+  reconcile(existingJobs, plannedJobs, now = this.config.now()) {
+    const existing = new Map(existingJobs.map(job => [job.id, job]));
+    const planned = new Set(plannedJobs.map(job => job.id));
+    const retentionCutoff = new Date(now.getTime() - this.config.retentionDays * 24 * 60 * 60 * 1000);
+    const result = { upserts: [], cancels: [], deletes: [] };
+
+    for (const job of plannedJobs) {
+      const current = existing.get(job.id);
+      const changed = !current ||
+        current.fireAt !== job.fireAt ||
+        current.title !== job.title ||
+        current.body !== job.body;
+
+      if (!current || current.status === 'cancelled' ||
+          (changed && current.status === 'pending') ||
+          (current.fireAt !== job.fireAt && current.status !== 'sending')) {
+        result.upserts.push(job);
+      }
+    }
+
+    for (const job of existingJobs) {
+      if (job.status === 'pending' && !planned.has(job.id)) {
+        result.cancels.push(job.id);
+      } else if (!['pending', 'sending'].includes(job.status) && new Date(job.fireAt) < retentionCutoff) {
+        result.deletes.push(job.id);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * The do-not-disturb or quiet hours window covering an instant, if any.
+   * Back-to-back windows are merged so `end` is when sending may resume.
+   */
+  getQuietWindow(date, settings, timeZone = 'UTC') {
+    const windows = this.getQuietSchedules(settings);
+    let match = null;
+    let at = date;
+
+    // Follow windows that start as soon as (or before) the previous one ends
+    for (let i = 0; i < 7; i++) {
+      const next = windows
+        .map(window => this.matchWindow(window, at, timeZone))
+        .filter(Boolean)
+        .sort((a, b) => b.end - a.end)[0];
+
+      if (!next) {
+        break;
+      }
+      match = { reason: match?.reason || next.reason, end: next.end };
+      at = next.end;
+    }
+
+    return match;
+  }
+
+  getQuietSchedules(settings) {
+    const schedules = [];
+
+    if (settings.doNotDisturb?.enabled) {
+      for (const schedule of settings.doNotDisturb.schedules || []) {
+        if (schedule && schedule.enabled !== false) {
+          schedules.push({ ...schedule, reason: 'do_not_disturb' });
+        }
+      }
+    }
+
+    if (settings.quietHours?.enabled) {
+      schedules.push({ start: settings.quietHours.start, end: settings.quietHours.end, reason: 'quiet_hours' });
+    }
+
+    return schedules.filter(schedule => this.parseTime(schedule.start) !== null && this.parseTime(schedule.end) !== null);
+  }
+
+  /**
+   * Window end when an instant falls inside a daily HH:MM window, which may
+   * run past midnight. `days` (Sunday = 0) limits the days a window starts on.
+   */
+  matchWindow(window, date, timeZone) {
+    const start = this.parseTime(window.start);
+    const end = this.parseTime(window.end);
+    if (start === end) {
+      return null;
+    }
+
+    const parts = getZonedParts(date, timeZone);
+    const minutes = parts.hour * 60 + parts.minute;
+    const today = getLocalDateString(date, timeZone);
+    let startDate = null;
+
+    if (start < end) {
+      startDate = minutes >= start && minutes < end ? today : null;
+    } else if (minutes >= start) {
+      startDate = today;
+    } else if (minutes < end) {
+      startDate = addDays(today, -1);
+    }
+
+    if (!startDate) {
+      return null;
+    }
+    if (Array.isArray(window.days) && window.days.length > 0 && !window.days.map(Number).includes(getWeekday(startDate))) {
+      return null;
+    }
+
+    const endDate = start < end ? startDate : addDays(startDate, 1);
+    return { reason: window.reason, end: zonedTimeToUtc(endDate, window.end, timeZone) };
+  }
+
+  /**
+   * What to do with a due job given the recipient's current settings
+   */
+  decide(job, { settings, timeZone }, now = this.config.now()) {
+    if (settings[this.settingKeys[job.kind]]?.enabled === false) {
+      return { action: 'skip', reason: 'disabled' };
+    }
+
+    const expiresAt = new Date(job.expiresAt || job.fireAt);
+    const lateBy = now - new Date(job.dueAt || job.fireAt);
+    if (now >= expiresAt || lateBy > this.config.maxLatenessMinutes * 60 * 1000) {
+      return { action: 'skip', reason: 'expired' };
+    }
+
+    const quiet = this.getQuietWindow(now, settings, timeZone);
+    if (quiet) {
+      return quiet.end < expiresAt
+        ? { action: 'defer', until: quiet.end, reason: quiet.reason }
+        : { action: 'skip', reason: quiet.reason };
+    }
+
+    return { action: 'send' };
+  }
+
+  /**
+   * Fire every due job once. handlers:
+   * - claimDue(now, limit): due jobs, leased so no one else sends them
+   * - getRecipient(userId): { settings, timeZone }
+   * - send(job): { delivered } from the push transport
+   * - complete(job, changes): persist the job's new state
+   * - onError(job, error): optional, told when a failure can't be recorded
+   *
+   * A job whose failure can't be recorded keeps its lease and comes due again
+   * once the lease expires; the rest of the batch carries on.
+   */
+  async runDue(handlers) {
+    const now = this.config.now();
+    const jobs = await handlers.claimDue(now, this.config.batchSize);
+    const recipients = new Map();
+    const summary = { sent: 0, deferred: 0, skipped: 0, failed: 0 };
+
+    for (const job of jobs) {
+      try {
+        if (!recipients.has(job.userId)) {
+          recipients.set(job.userId, await handlers.getRecipient(job.userId));
+        }
+        const decision = this.decide(job, recipients.get(job.userId), now);
+
+        if (decision.action === 'defer') {
+          await handlers.complete(job, { status: 'pending', dueAt: decision.until.toISOString(), reason: decision.reason });
+          summary.deferred++;
+          continue;
+        }
+        if (decision.action === 'skip') {
+          await handlers.complete(job, { status: 'skipped', dueAt: null, reason: decision.reason });
+          summary.skipped++;
+          continue;
+        }
+
+        const result = await handlers.send(job);
+        if (result.delivered) {
+          await handlers.complete(job, { status: 'sent', dueAt: null, reason: null, sentAt: now.toISOString() });
+          summary.sent++;
+        } else {
+          await handlers.complete(job, { status: 'skipped', dueAt: null, reason: result.reason || 'not_delivered' });
+          summary.skipped++;
+        }
+      } catch (error) {
+        summary.failed++;
+        const attempts = (job.attempts || 0) + 1;
+        const retryAt = new Date(now.getTime() + this.config.retryDelayMinutes * Math.pow(2, attempts - 1) * 60 * 1000);
+        try {
+          await handlers.complete(job, attempts < this.config.maxAttempts
+            ? { status: 'pending', dueAt: retryAt.toISOString(), attempts, reason: error.message }
+            : { status: 'failed', dueAt: null, attempts, reason: error.message });
+        } catch (completeError) {
+          if (handlers.onError) {
+            handlers.onError(job, completeError);
+          }
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Lease expiry for a job being claimed now
+   */
+  getLeaseUntil(now = this.config.now()) {
+    return new Date(now.getTime() + this.config.leaseMinutes * 60 * 1000);
+  }
+
+  parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+      return null;
+    }
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+  }
+
+  describeLead(minutes) {
+    if (minutes % 1440 === 0) {
+      return minutes === 1440 ? '1 day' : `${minutes / 1440} days`;
+    }
+    if (minutes % 60 === 0) {
+      return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+    }
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+  }
+}
+
+module.exports = NotificationScheduler;
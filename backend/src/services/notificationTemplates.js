@@ -0,0 +1,185 @@
+/**
+ * Notification Templates
+ * Named, localized push notification texts with {{variable}} placeholders,
+ * who may send each one, and how often a user can receive it.
+ *
+ * Senders are related to the recipient as 'self', 'partner' (an
+ * accountability partner the recipient has authorized) or 'admin'.
+ * Partners can only send templates that allow them; free text is limited
+ * to the user themselves and admins.
+ */
+class NotificationTemplates {
+  constructor(config = {}) {
+    this.config = {
+      defaultLocale: 'en',
+      maxVariableLength: 80,
+      maxTitleLength: 100,
+      maxBodyLength: 500,
+      customRateLimit: { max: 10, windowMinutes: 60 },
+      templates: {
+        routine_starting: {
+          variables: ['routine', 'minutes'],
+          senders: ['self', 'admin'],
+          rateLimit: { max: 10, windowMinutes: 60 },
+          locales: {
+            en: { title: 'Time for {{routine}}', body: 'Starts in {{minutes}} minutes. You\'ve got this.' },
+            de: { title: 'Zeit für {{routine}}', body: 'Beginnt in {{minutes}} Minuten. Du schaffst das.' },
+            es: { title: 'Es hora de {{routine}}', body: 'Empieza en {{minutes}} minutos. Tú puedes.' }
+          }
+        },
+        streak_at_risk: {
+          variables: ['streak'],
+          senders: ['self', 'partner', 'admin'],
+          rateLimit: { max: 2, windowMinutes: 24 * 60 },
+          locales: {
+            en: { title: 'Keep your {{streak}}-day streak going', body: 'One small task today is enough to keep it alive.' },
+            de: { title: 'Deine Serie von {{streak}} Tagen', body: 'Eine kleine Aufgabe heute reicht, um sie zu halten.' },
+            es: { title: 'Tu racha de {{streak}} días sigue viva', body: 'Una tarea pequeña hoy basta para mantenerla.' }
+          }
+        },
+        celebration: {
+          variables: ['achievement'],
+          senders: ['self', 'partner', 'admin'],
+          rateLimit: { max: 5, windowMinutes: 60 },
+          locales: {
+            en: { title: 'Nice work!', body: '{{achievement}} – that\'s worth celebrating.' },
+            de: { title: 'Gut gemacht!', body: '{{achievement}} – das ist einen Moment zum Feiern wert.' },
+            es: { title: '¡Buen trabajo!', body: '{{achievement}}: eso merece una celebración.' }
+          }
+        },
+        partner_check_in: {
+          variables: ['name'],
+          senders: ['partner'],
+          rateLimit: { max: 3, windowMinutes: 24 * 60 },
+          locales: {
+            en: { title: '{{name}} is thinking of you', body: 'Your accountability partner sent a check-in. How is it going?' },
+            de: { title: '{{name}} denkt an dich', body: 'Dein Accountability-Partner fragt nach. Wie läuft es?' },
+            es: { title: '{{name}} está pensando en ti', body: 'Tu compañero de responsabilidad te envía un saludo. ¿Cómo va todo?' }
+          }
+        }
+      },
+      ...config
+    };
+  }
+
+  getTemplate(name) {
+    const template = this.config.templates[name];
+    if (!template) {
+      throw new Error(`Unknown notification template: ${name}`);
+    }
+    return template;
+  }
+
+  /**
+   * Closest locale a template has: exact tag, then language, then default
+   */
+  resolveLocale(template, locale) {
+    const requested = String(locale || '').replace('_', '-');
+    const language = requested.split('-')[0].toLowerCase();
+    const available = Object.keys(template.locales);
+
+    return available.find(candidate => candidate.toLowerCase() === requested.toLowerCase()) ||
+      available.find(candidate => candidate === language) ||
+      this.config.defaultLocale;
+  }
+
+  /**
+   * Title, body and data payload of a template filled in with variables
+   */
+  render(name, variables = {}, locale = this.config.defaultLocale) {
+    const template = this.getTemplate(name);
+    const resolvedLocale = this.resolveLocale(template, locale);
+    const values = {};
+
+    for (const variable of template.variables) {
+      const value = variables[variable];
+      if (value === undefined || value === null || String(value).trim() === '') {
+        throw new Error(`Missing template variable: ${variable}`);
+      }
+      values[variable] = String(value).replace(/\s+/g, ' ').trim().slice(0, this.config.maxVariableLength);
+    }
+
+    const fill = text => text.replace(/\{\{(\w+)\}\}/g, (match, variable) => values[variable] ?? match);
+    const { title, body } = template.locales[resolvedLocale];
+
+    return {
+      title: fill(title),
+      body: fill(body),
+      locale: resolvedLocale,
+      data: { type: name }
+    };
+  }
+
+  /**
+   * Whether a sender with this relationship may send the template (or free
+   * text when name is null)
+   */
+  canSend(relationship, name = null) {
+    if (!name) {
+      return ['self', 'admin'].includes(relationship);
+    }
+    return this.getTemplate(name).senders.includes(relationship);
+  }
+
+  /**
+   * Free-text title and body, validated
+   */
+  validateCustom({ title, body } = {}) {
+    if (typeof title !== 'string' || !title.trim()) {
+      throw new Error('Title is required when no template is given');
+    }
+    if (body !== undefined && body !== null && typeof body !== 'string') {
+      throw new Error('Body must be a string');
+    }
+    if (title.length > this.config.maxTitleLength || (body || '').length > this.config.maxBodyLength) {
+      throw new Error(`Title and body are limited to ${this.config.maxTitleLength} and ${this.config.maxBodyLength} characters`);
+    }
+    return { title: title.trim(), body: (body || '').trim() };
+  }
+
+  /**
+   * Data payloads are sent as FCM data, which only carries strings
+   */
+  validateData(data) {
+    if (data === undefined || data === null) {
+      return {};
+    }
+    if (typeof data !== 'object' || Array.isArray(data) ||
+        Object.values(data).some(value => typeof value !== 'string')) {
+      throw new Error('Data must be an object of string values');
+    }
+    return data;
+  }
+
+  /**
+   * Apply a template's (or free text's) rate limit to the times the
+   * recipient last received it. Returns the times to store when allowed.
+   */
+  checkRateLimit(name, sentAt = [], now = new Date()) {
+    const { max, windowMinutes } = name ? this.getTemplate(name).rateLimit : this.config.customRateLimit;
+    const windowStart = now.getTime() - windowMinutes * 60 * 1000;
+    const recent = sentAt.filter(time => new Date(time).getTime() > windowStart).sort();
+
+    if (recent.length >= max) {
+      const retryAt = new Date(recent[recent.length - max]).getTime() + windowMinutes * 60 * 1000;
+      return { allowed: false, retryAfterSeconds: Math.ceil((retryAt - now.getTime()) / 1000), sentAt: recent };
+    }
+
+    return { allowed: true, retryAfterSeconds: 0, sentAt: [...recent, now.toISOString()] };
+  }
+
+  /**
+   * Templates as listed to clients
+   */
+  list() {
+    return Object.entries(this.config.templates).map(([name, template]) => ({
+      name,
+      variables: template.variables,
+      senders: template.senders,
+      locales: Object.keys(template.locales),
+      rateLimit: template.rateLimit
+    }));
+  }
+}
+
+module.exports = NotificationTemplates;
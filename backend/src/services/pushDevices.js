@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+/**
+ * Push Devices
+ * Registry rules for the devices a user receives push notifications on
+ * (users/{uid}/devices). Each FCM token maps to one device document, sends
+ * fan out to every active device, and tokens that FCM reports as invalid or
+ * that have not been seen for a long time are pruned.
+ */
+class PushDevices {
+  constructor(config = {}) {
+    this.config = {
+      maxDevices: 10,
+      staleDays: 60,
+      platforms: ['ios', 'android', 'web'],
+      // FCM errors meaning the token will never work again
+      invalidTokenErrors: [
+        'messaging/registration-token-not-registered',
+        'messaging/invalid-registration-token'
+      ],
+      ...config
+    };
+  }
+
+  /**
+   * Stable document ID for a token, so re-registering updates the device
+   */
+  getDeviceId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Validate a registration request body
+   */
+  normalizeRegistration({ fcmToken, platform, appVersion, locale, deviceName } = {}) {
+    if (typeof fcmToken !== 'string' || !fcmToken.trim() || fcmToken.length > 4096) {
+      throw new Error('FCM token is required.');
+    }
+
+    const normalizedPlatform = platform ? String(platform).toLowerCase() : 'unknown';
+    if (platform && !this.config.platforms.includes(normalizedPlatform)) {
+      throw new Error(`Platform must be one of: ${this.config.platforms.join(', ')}`);
+    }
+
+    if (locale && !/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/.test(locale)) {
+      throw new Error('Locale must be a language tag such as en or en-US');
+    }
+
+    return {
+      token: fcmToken.trim(),
+      platform: normalizedPlatform,
+      appVersion: appVersion ? String(appVersion).slice(0, 32) : null,
+      locale: locale ? String(locale).replace('_', '-') : null,
+      deviceName: deviceName ? String(deviceName).slice(0, 100) : null
+    };
+  }
+
+  isStale(device, now = new Date()) {
+    const lastSeenAt = device.lastSeenAt ? new Date(device.lastSeenAt) : null;
+    return !lastSeenAt || now - lastSeenAt > this.config.staleDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Devices to send to, and stale ones to prune
+   */
+  partition(devices, now = new Date()) {
+    return {
+      active: devices.filter(device => !this.isStale(device, now)),
+      stale: devices.filter(device => this.isStale(device, now))
+    };
+  }
+
+  /**
+   * Least recently seen devices beyond the per-user limit, counting a
+   * device that is about to be registered
+   */
+  selectEvictions(devices, incomingId = null) {
+    const others = devices
+      .filter(device => device.id !== incomingId)
+      .sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0));
+    const keep = this.config.maxDevices - (incomingId ? 1 : 0);
+    return others.slice(Math.max(0, keep));
+  }
+
+  /**
+   * One FCM message per device
+   */
+  buildMessages(devices, { title, body, data = {} }) {
+    return devices.map(device => ({
+      token: device.token,
+      notification: { title, body },
+      data,
+      android: {
+        notification: {
+          channelId: 'focusmate-default',
+          priority: 'default',
+        },
+      },
+      apns: {
+        payload: {
+          aps: {
+            sound: 'default',
+          },
+        },
+      },
+    }));
+  }
+
+  /**
+   * Split a sendEach() batch response into delivered message IDs, failures
+   * and devices whose tokens should be pruned
+   */
+  summarizeResponse(devices, batchResponse) {
+    const result = { messageIds: [], failures: [], invalidDeviceIds: [] };
+
+    batchResponse.responses.forEach((response, index) => {
+      const device = devices[index];
+      if (response.success) {
+        result.messageIds.push(response.messageId);
+        return;
+      }
+
+      const code = response.error?.code || 'unknown';
+      result.failures.push({ deviceId: device.id, code });
+      if (this.config.invalidTokenErrors.includes(code)) {
+        result.invalidDeviceIds.push(device.id);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Device as shown to its owner; only the end of the token is revealed
+   */
+  format(device) {
+    return {
+      id: device.id,
+      platform: device.platform,
+      appVersion: device.appVersion,
+      locale: device.locale,
+      deviceName: device.deviceName,
+      tokenSuffix: device.token ? device.token.slice(-8) : null,
+      createdAt: device.createdAt,
+      lastSeenAt: device.lastSeenAt
+    };
+  }
+}
+
+module.exports = PushDevices;
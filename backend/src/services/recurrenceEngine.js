@@ -0,0 +1,359 @@
+const { getZonedParts, zonedTimeToUtc, addDays, isDateString } = require('../utils/timeZoneUtils');
+
+/**
+ * Recurrence Engine
+ * Normalizes recurrence rules (presets, rule objects or RRULE strings) and
+ * expands them into concrete occurrence dates for recurring todos. Rules are
+ * expanded on the user's local calendar, so "weekdays" means weekdays where
+ * the user lives.
+ */
+class RecurrenceEngine {
+  constructor(config = {}) {
+    this.config = {
+      maxIterations: 5000, // Upper bound on periods scanned per expansion
+      maxOccurrences: 366, // Upper bound on occurrences returned per expansion
+      ...config
+    };
+
+    this.frequencies = ['daily', 'weekly', 'monthly', 'yearly'];
+
+    // RRULE weekday codes mapped to JavaScript day numbers (Sunday = 0)
+    this.weekdayCodes = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+    // Shorthand rules accepted in place of a full rule object
+    this.presets = {
+      daily: { frequency: 'daily' },
+      weekdays: { frequency: 'weekly', byWeekday: [1, 2, 3, 4, 5] },
+      weekends: { frequency: 'weekly', byWeekday: [0, 6] },
+      weekly: { frequency: 'weekly' },
+      biweekly: { frequency: 'weekly', interval: 2 },
+      monthly: { frequency: 'monthly' },
+      yearly: { frequency: 'yearly' }
+    };
+  }
+
+  /**
+   * Normalize a preset name, RRULE string or rule object into a rule object.
+   * Throws when the rule cannot be interpreted.
+   */
+  normalizeRule(input) {
+    if (!input) {
+      throw new Error('Recurrence rule is required');
+    }
+
+    let rule;
+    if (typeof input === 'string') {
+      const preset = this.presets[input.trim().toLowerCase()];
+      rule = preset ? { ...preset } : this.parseRRule(input);
+    } else if (typeof input === 'object') {
+      rule = input.rrule ? this.parseRRule(input.rrule) : { ...input };
+    } else {
+      throw new Error('Recurrence rule must be a string or an object');
+    }
+
+    const frequency = String(rule.frequency || '').toLowerCase();
+    if (!this.frequencies.includes(frequency)) {
+      throw new Error(`Unsupported recurrence frequency: ${rule.frequency}`);
+    }
+
+    const interval = rule.interval === undefined ? 1 : parseInt(rule.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error('Recurrence interval must be a positive integer');
+    }
+
+    const byWeekday = this.normalizeWeekdays(rule.byWeekday);
+    const byMonthDay = this.normalizeMonthDays(rule.byMonthDay);
+
+    let count = null;
+    if (rule.count !== undefined && rule.count !== null) {
+      count = parseInt(rule.count);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error('Recurrence count must be a positive integer');
+      }
+    }
+
+    let until = null;
+    if (rule.until) {
+      const untilDate = this.parseDate(rule.until);
+      if (!untilDate) {
+        throw new Error('Recurrence until must be a valid date');
+      }
+      until = untilDate.toISOString();
+    }
+
+    return {
+      frequency,
+      interval,
+      byWeekday: frequency === 'weekly' ? byWeekday : null,
+      byMonthDay: frequency === 'monthly' ? byMonthDay : null,
+      count,
+      until
+    };
+  }
+
+  /**
+   * Parse an RFC 5545 style RRULE string (e.g. "FREQ=WEEKLY;BYDAY=MO,WE")
+   */
+  parseRRule(rrule) {
+    const body = rrule.trim().replace(/^RRULE:/i, '');
+    const rule = {};
+
+    for (const part of body.split(';').filter(Boolean)) {
+      const [rawKey, rawValue] = part.split('=');
+      const key = (rawKey || '').trim().toUpperCase();
+      const value = (rawValue || '').trim();
+
+      switch (key) {
+        case 'FREQ':
+          rule.frequency = value.toLowerCase();
+          break;
+        case 'INTERVAL':
+          rule.interval = value;
+          break;
+        case 'BYDAY':
+          rule.byWeekday = value.split(',');
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = value.split(',');
+          break;
+        case 'COUNT':
+          rule.count = value;
+          break;
+        case 'UNTIL':
+          rule.until = value;
+          break;
+        default:
+          throw new Error(`Unsupported RRULE part: ${key}`);
+      }
+    }
+
+    if (!rule.frequency) {
+      throw new Error('RRULE must include FREQ');
+    }
+
+    return rule;
+  }
+
+  /**
+   * Serialize a normalized rule back to an RRULE string
+   */
+  toRRule(rule) {
+    const codes = Object.keys(this.weekdayCodes);
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byWeekday) parts.push(`BYDAY=${rule.byWeekday.map(day => codes[day]).join(',')}`);
+    if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/[-:]/g, '').split('.')[0]}Z`);
+
+    return parts.join(';');
+  }
+
+  /**
+   * Get the first occurrence strictly after the given date, or null when the
+   * series has ended
+   */
+  getNextOccurrence(rule, anchor, after, options = {}) {
+    const afterDate = this.parseDate(after) || new Date();
+    const [next] = this.expand(rule, anchor, {
+      from: new Date(afterDate.getTime() + 1),
+      limit: 1,
+      timeZone: options.timeZone
+    });
+
+    return next || null;
+  }
+
+  /**
+   * Get all occurrences between two dates (inclusive). Date-only bounds are
+   * local days in the time zone, and an upper bound covers that whole day.
+   */
+  getOccurrences(rule, anchor, from, to, options = {}) {
+    const timeZone = options.timeZone || 'UTC';
+    const fromDate = isDateString(from) ? zonedTimeToUtc(from, '00:00', timeZone) : this.parseDate(from);
+    const toDate = isDateString(to)
+      ? new Date(zonedTimeToUtc(addDays(to, 1), '00:00', timeZone).getTime() - 1)
+      : this.parseDate(to);
+
+    return this.expand(rule, anchor, {
+      from: fromDate,
+      to: toDate,
+      limit: options.limit || this.config.maxOccurrences,
+      timeZone
+    });
+  }
+
+  /**
+   * Walk the series period by period starting at the anchor. Occurrences are
+   * counted from the anchor so COUNT is honored regardless of the window.
+   * Periods are laid out on local dates in `timeZone`; a date-only anchor is
+   * a floating calendar date and expands in UTC wherever the user is.
+   */
+  expand(rule, anchor, { from = null, to = null, limit = this.config.maxOccurrences, timeZone = 'UTC' } = {}) {
+    const anchorDate = this.parseDate(anchor);
+    if (!anchorDate) {
+      throw new Error('Recurrence anchor must be a valid date');
+    }
+
+    const zone = isDateString(anchor) ? 'UTC' : (timeZone || 'UTC');
+    const anchorParts = getZonedParts(anchorDate, zone);
+    const until = rule.until ? new Date(rule.until) : null;
+    const occurrences = [];
+    let seen = 0;
+
+    for (let period = 0; period < this.config.maxIterations; period++) {
+      const candidates = this.getPeriodCandidates(rule, anchorParts, period, zone);
+
+      for (const candidate of candidates) {
+        if (candidate < anchorDate) continue;
+        if (until && candidate > until) return occurrences;
+        if (to && candidate > to) return occurrences;
+
+        seen++;
+        if (rule.count && seen > rule.count) return occurrences;
+
+        if (!from || candidate >= from) {
+          occurrences.push(candidate);
+          if (occurrences.length >= limit) return occurrences;
+        }
+      }
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Candidate dates for the Nth period of a rule, in chronological order.
+   * `anchorParts` are the anchor's local calendar parts (see getZonedParts);
+   * its local time of day is carried over to every candidate.
+   */
+  getPeriodCandidates(rule, anchorParts, period, timeZone = 'UTC') {
+    const step = period * rule.interval;
+    const { year, day, weekday } = anchorParts;
+    const month = anchorParts.month - 1;
+    const at = (targetYear, targetMonth, targetDay) => this.atAnchorTime(anchorParts, targetYear, targetMonth, targetDay, timeZone);
+
+    switch (rule.frequency) {
+      case 'daily':
+        return [at(year, month, day + step)];
+
+      case 'weekly': {
+        // Weeks start on Monday so BYDAY=MO..SU stays inside one period
+        const mondayOffset = (weekday + 6) % 7;
+        const weekStart = day - mondayOffset + step * 7;
+        const weekdays = rule.byWeekday || [weekday];
+
+        return weekdays
+          .map(targetWeekday => (targetWeekday + 6) % 7)
+          .sort((a, b) => a - b)
+          .map(offset => at(year, month, weekStart + offset));
+      }
+
+      case 'monthly': {
+        const targetMonth = month + step;
+        const daysInMonth = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+        const monthDays = rule.byMonthDay || [day];
+
+        // Days past the end of a short month fall on its last day, negative
+        // days count back from the end (-1 is the last day)
+        const resolved = monthDays.map(monthDay => monthDay > 0
+          ? Math.min(monthDay, daysInMonth)
+          : Math.max(1, daysInMonth + monthDay + 1));
+
+        return [...new Set(resolved)]
+          .sort((a, b) => a - b)
+          .map(monthDay => at(year, targetMonth, monthDay));
+      }
+
+      case 'yearly': {
+        const targetYear = year + step;
+        const daysInMonth = new Date(Date.UTC(targetYear, month + 1, 0)).getUTCDate();
+        return [at(targetYear, month, Math.min(day, daysInMonth))];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * The instant of a local calendar date (month 0-based, overflowing days
+   * roll over) at the anchor's local time of day in a time zone
+   */
+  atAnchorTime(anchorParts, year, month, day, timeZone = 'UTC') {
+    const date = new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+    const time = `${anchorParts.hour}:${anchorParts.minute}`;
+    return new Date(zonedTimeToUtc(date, time, timeZone).getTime() + anchorParts.second * 1000);
+  }
+
+  /**
+   * Normalize weekday input (RRULE codes or day numbers) to sorted day numbers.
+   * Ordinal codes such as 1MO (first Monday) are rejected rather than read as
+   * every Monday.
+   */
+  normalizeWeekdays(byWeekday) {
+    if (!byWeekday || (Array.isArray(byWeekday) && byWeekday.length === 0)) {
+      return null;
+    }
+
+    const values = Array.isArray(byWeekday) ? byWeekday : [byWeekday];
+    const days = values.map(value => {
+      if (typeof value === 'number') return value;
+
+      const text = String(value).trim().toUpperCase();
+      if (/^[+-]?\d+[A-Z]{2}$/.test(text)) {
+        throw new Error(`Ordinal recurrence weekdays such as ${text} are not supported`);
+      }
+      return /^\d+$/.test(text) ? parseInt(text) : this.weekdayCodes[text.slice(0, 2)];
+    });
+
+    if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('Recurrence weekdays must be 0-6 or RRULE day codes');
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Normalize month day input to a list of integers between -31 and 31
+   */
+  normalizeMonthDays(byMonthDay) {
+    if (byMonthDay === undefined || byMonthDay === null) {
+      return null;
+    }
+
+    const values = Array.isArray(byMonthDay) ? byMonthDay : [byMonthDay];
+    if (values.length === 0) {
+      return null;
+    }
+
+    const days = values.map(value => parseInt(value));
+    if (days.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+      throw new Error('Recurrence month days must be between 1 and 31 (or -1 to -31)');
+    }
+
+    return [...new Set(days)];
+  }
+
+  /**
+   * Parse ISO strings, RRULE basic dates (20261231 or 20261231T090000Z),
+   * Firestore timestamps and Date objects
+   */
+  parseDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    if (typeof value.toDate === 'function') return value.toDate();
+
+    const basic = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(String(value));
+    if (basic) {
+      const [, y, m, d, hh = '23', mm = '59', ss = '59'] = basic;
+      return new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+    }
+
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+}
+
+module.exports = RecurrenceEngine;
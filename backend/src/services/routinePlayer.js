@@ -0,0 +1,388 @@
+const RoutineRunTracker = require('./routineRuns');
+
+/**
+ * Routine Player
+ * Server-driven, step-by-step flow through a routine run. Tracks the current
+ * step, the real time spent on each step (excluding pauses) and the
+ * transition gap between steps, which is budgeted by the finished task's
+ * bufferTime. Player state lives on the run under `player`.
+ */
+class RoutinePlayer {
+  constructor(config = {}) {
+    this.config = {
+      maxExtension: 60, // minutes per "more time" request
+      ...config
+    };
+
+    this.tracker = new RoutineRunTracker();
+  }
+
+  /**
+   * Start playing a run at its first pending step
+   */
+  start(run, routine, now = new Date()) {
+    if (this.tracker.finishedStatuses.includes(run.status)) {
+      throw new Error(`This routine run is already ${run.status}`);
+    }
+
+    const status = run.player?.status;
+    if (status && status !== 'idle') {
+      throw new Error(`Routine is already ${status === 'paused' ? 'paused' : 'playing'}`);
+    }
+
+    const first = this.getOrderedTasks(run, routine).find(task => task.status === 'pending');
+    if (!first) {
+      throw new Error('There are no steps left in this routine run');
+    }
+
+    return this.beginStep({
+      ...run,
+      tasks: this.getOrderedTasks(run, routine),
+      status: 'in_progress',
+      startedAt: run.startedAt || now
+    }, first.taskId, now, null);
+  }
+
+  /**
+   * Finish the current step (or skip it) and move on. Completing a step with
+   * a bufferTime opens a transition; calling next during a transition starts
+   * the following step and records how long the transition really took.
+   */
+  next(run, routine, now = new Date(), { skip = false, reason } = {}) {
+    const player = this.assertPlayer(run, ['active', 'transition'], 'move to the next step');
+
+    if (player.status === 'transition') {
+      const gapSeconds = Math.round(this.getTransitionElapsedMs(player.transition, now) / 1000);
+      return this.beginStep(run, player.transition.toTaskId, now, gapSeconds);
+    }
+
+    const tasks = this.getOrderedTasks(run, routine);
+    const current = tasks.find(task => task.taskId === player.currentTaskId);
+    const elapsedMs = this.getStepElapsedMs(current, player, now);
+
+    let updated = this.updateTask({ ...run, tasks }, current.taskId, { elapsedMs });
+
+    // The step may already have been resolved outside the player
+    if (current.status === 'pending') {
+      updated = skip
+        ? this.tracker.skipTask(updated, routine, current.taskId, { reason }, now)
+        : this.tracker.completeTask(updated, routine, current.taskId, {
+          actualDuration: this.toMinutes(elapsedMs)
+        }, now);
+    }
+
+    const upcoming = this.findNextPending(updated.tasks, current.taskId);
+    if (!upcoming) {
+      const finished = this.tracker.finishedStatuses.includes(updated.status)
+        ? updated
+        : this.tracker.finishRun(updated, now);
+      return { ...finished, player: { ...this.idlePlayer(), status: 'finished' } };
+    }
+
+    const bufferMinutes = skip ? 0 : (current.bufferTime || 0);
+    if (bufferMinutes <= 0) {
+      return this.beginStep(updated, upcoming.taskId, now, 0);
+    }
+
+    return {
+      ...updated,
+      player: {
+        ...this.idlePlayer(),
+        status: 'transition',
+        currentTaskId: null,
+        transition: {
+          fromTaskId: current.taskId,
+          toTaskId: upcoming.taskId,
+          bufferMinutes,
+          segmentStartedAt: now,
+          elapsedMs: 0
+        }
+      }
+    };
+  }
+
+  /**
+   * Go back to the previous step, reopening it. Time already spent on the
+   * reopened step is kept and its clock continues.
+   */
+  back(run, routine, now = new Date()) {
+    const player = this.assertPlayer(run, ['active', 'transition'], 'go back');
+    let tasks = this.getOrderedTasks(run, routine);
+    let previousId;
+
+    if (player.status === 'transition') {
+      previousId = player.transition.fromTaskId;
+    } else {
+      const index = tasks.findIndex(task => task.taskId === player.currentTaskId);
+      if (index <= 0) {
+        throw new Error('Already at the first step');
+      }
+      previousId = tasks[index - 1].taskId;
+
+      // Bank the time spent on the step we are leaving
+      const current = tasks[index];
+      tasks = this.updateTask({ tasks }, current.taskId, {
+        elapsedMs: this.getStepElapsedMs(current, player, now)
+      }).tasks;
+    }
+
+    const reopened = this.updateTask({ ...run, tasks, status: 'in_progress' }, previousId, {
+      status: 'pending',
+      completedAt: null,
+      skippedAt: null,
+      actualDuration: null,
+      skipReason: null,
+      comment: null
+    });
+
+    return this.beginStep(reopened, previousId, now, null);
+  }
+
+  /**
+   * Pause the current step or transition
+   */
+  pause(run, now = new Date()) {
+    const player = this.assertPlayer(run, ['active', 'transition'], 'pause');
+    let updated = run;
+
+    if (player.status === 'active') {
+      const current = run.tasks.find(task => task.taskId === player.currentTaskId);
+      updated = this.updateTask(run, current.taskId, {
+        elapsedMs: this.getStepElapsedMs(current, player, now)
+      });
+    }
+
+    return {
+      ...updated,
+      player: {
+        ...player,
+        status: 'paused',
+        pausedFrom: player.status,
+        pausedAt: now,
+        stepStartedAt: null,
+        transition: player.transition && {
+          ...player.transition,
+          elapsedMs: this.getTransitionElapsedMs(player.transition, now),
+          segmentStartedAt: null
+        }
+      }
+    };
+  }
+
+  /**
+   * Resume a paused step or transition
+   */
+  resume(run, now = new Date()) {
+    const player = this.assertPlayer(run, ['paused'], 'resume');
+    const resumed = player.pausedFrom || 'active';
+
+    return {
+      ...run,
+      player: {
+        ...player,
+        status: resumed,
+        pausedFrom: null,
+        pausedAt: null,
+        stepStartedAt: resumed === 'active' ? now : null,
+        transition: player.transition && { ...player.transition, segmentStartedAt: now }
+      }
+    };
+  }
+
+  /**
+   * "I need more time": extend the current step, or the transition buffer
+   */
+  addTime(run, minutes, now = new Date()) {
+    const player = this.assertPlayer(run, ['active', 'transition', 'paused'], 'add time');
+    const extra = Number(minutes);
+
+    if (!Number.isFinite(extra) || extra <= 0 || extra > this.config.maxExtension) {
+      throw new Error(`Extra time must be between 1 and ${this.config.maxExtension} minutes`);
+    }
+
+    if (player.transition) {
+      return {
+        ...run,
+        player: {
+          ...player,
+          transition: { ...player.transition, bufferMinutes: player.transition.bufferMinutes + extra }
+        }
+      };
+    }
+
+    const current = run.tasks.find(task => task.taskId === player.currentTaskId);
+    return this.updateTask(run, current.taskId, {
+      extraMinutes: (current.extraMinutes || 0) + extra,
+      extensions: [...(current.extensions || []), { minutes: extra, at: now }]
+    });
+  }
+
+  /**
+   * Live player state shared by every client
+   */
+  getState(run, routine, now = new Date()) {
+    const player = run.player || this.idlePlayer();
+    const tasks = this.getOrderedTasks(run, routine);
+    const resolvedSteps = tasks.filter(task => task.status !== 'pending').length;
+
+    const state = {
+      status: player.status,
+      runId: run.id,
+      date: run.date,
+      runStatus: run.status,
+      variant: run.variant || 'full',
+      totalSteps: tasks.length,
+      resolvedSteps,
+      step: null,
+      transition: null
+    };
+
+    const currentId = player.currentTaskId || player.transition?.toTaskId;
+    const index = tasks.findIndex(task => task.taskId === currentId);
+    state.stepIndex = index >= 0 ? index : null;
+
+    if (player.currentTaskId) {
+      const current = tasks[index];
+      const plannedSeconds = Math.round((current.estimatedDuration + (current.extraMinutes || 0)) * 60);
+      const elapsedSeconds = Math.floor(this.getStepElapsedMs(current, player, now) / 1000);
+
+      state.step = {
+        taskId: current.taskId,
+        title: current.title,
+        plannedSeconds,
+        elapsedSeconds,
+        remainingSeconds: Math.max(0, plannedSeconds - elapsedSeconds),
+        isOvertime: elapsedSeconds > plannedSeconds,
+        bufferTime: current.bufferTime || 0
+      };
+    }
+
+    if (player.transition) {
+      const next = tasks.find(task => task.taskId === player.transition.toTaskId);
+      const bufferSeconds = Math.round(player.transition.bufferMinutes * 60);
+      const elapsedSeconds = Math.floor(this.getTransitionElapsedMs(player.transition, now) / 1000);
+
+      state.transition = {
+        fromTaskId: player.transition.fromTaskId,
+        toTaskId: player.transition.toTaskId,
+        nextTitle: next ? next.title : null,
+        bufferSeconds,
+        elapsedSeconds,
+        remainingSeconds: Math.max(0, bufferSeconds - elapsedSeconds),
+        isOverdue: elapsedSeconds > bufferSeconds
+      };
+    }
+
+    return state;
+  }
+
+  /**
+   * Make a step the current one
+   */
+  beginStep(run, taskId, now, transitionSeconds) {
+    const task = run.tasks.find(item => item.taskId === taskId);
+    const changes = { startedAt: task.startedAt || now };
+    if (transitionSeconds !== null) {
+      changes.transitionSeconds = transitionSeconds;
+    }
+
+    return {
+      ...this.updateTask(run, taskId, changes),
+      player: {
+        ...this.idlePlayer(),
+        status: 'active',
+        currentTaskId: taskId,
+        stepStartedAt: now
+      }
+    };
+  }
+
+  /**
+   * Time spent on a step: banked time plus the running segment
+   */
+  getStepElapsedMs(task, player, now) {
+    const running = player.status === 'active' && player.currentTaskId === task.taskId && player.stepStartedAt
+      ? Math.max(0, now - this.tracker.toDate(player.stepStartedAt))
+      : 0;
+    return (task.elapsedMs || 0) + running;
+  }
+
+  /**
+   * Time spent in a transition, excluding pauses
+   */
+  getTransitionElapsedMs(transition, now) {
+    const running = transition.segmentStartedAt
+      ? Math.max(0, now - this.tracker.toDate(transition.segmentStartedAt))
+      : 0;
+    return (transition.elapsedMs || 0) + running;
+  }
+
+  /**
+   * Run tasks in routine order, including tasks added after the run started.
+   * Runs of a lighter variant only play the variant's own tasks.
+   */
+  getOrderedTasks(run, routine) {
+    let tasks = run.tasks || [];
+    if (run.variant && run.variant !== 'full') {
+      return tasks;
+    }
+
+    for (const definition of routine?.tasks || []) {
+      tasks = this.tracker.withTask({ tasks }, routine, definition.id);
+    }
+    return tasks;
+  }
+
+  /**
+   * The next pending task after a task, wrapping around to earlier ones
+   */
+  findNextPending(tasks, afterTaskId) {
+    const index = tasks.findIndex(task => task.taskId === afterTaskId);
+    const ordered = [...tasks.slice(index + 1), ...tasks.slice(0, index)];
+    return ordered.find(task => task.status === 'pending') || null;
+  }
+
+  /**
+   * Apply changes to one task of a run
+   */
+  updateTask(run, taskId, changes) {
+    return {
+      ...run,
+      tasks: run.tasks.map(task => task.taskId === taskId ? { ...task, ...changes } : task)
+    };
+  }
+
+  /**
+   * Guard player transitions
+   */
+  assertPlayer(run, allowed, action) {
+    const player = run.player || this.idlePlayer();
+    if (!allowed.includes(player.status)) {
+      throw new Error(`Cannot ${action} while the routine is ${player.status}`);
+    }
+    return player;
+  }
+
+  /**
+   * Player state before the routine is started
+   */
+  idlePlayer() {
+    return {
+      status: 'idle',
+      currentTaskId: null,
+      stepStartedAt: null,
+      pausedAt: null,
+      pausedFrom: null,
+      transition: null
+    };
+  }
+
+  /**
+   * Whole minutes of real step time, at least one
+   */
+  toMinutes(ms) {
+    return Math.max(1, Math.round(ms / 60000));
+  }
+}
+
+module.exports = RoutinePlayer;
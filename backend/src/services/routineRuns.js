@@ -0,0 +1,311 @@
+/**
+ * Routine Run Tracker
+ * A routine run is one scheduled occurrence of a routine on a given day. The
+ * run holds per-task state, start/end times and the outcome, so the routine
+ * document itself stays a reusable definition.
+ */
+class RoutineRunTracker {
+  constructor(config = {}) {
+    this.config = { ...config };
+
+    // Terminal run statuses; 'partial' means some but not all tasks were done
+    this.finishedStatuses = ['completed', 'partial', 'skipped'];
+  }
+
+  /**
+   * Deterministic run ID so each routine has at most one run per day
+   */
+  getRunId(routineId, date) {
+    return `${routineId}_${date}`;
+  }
+
+  /**
+   * Validate a YYYY-MM-DD date, defaulting to today (UTC)
+   */
+  normalizeDate(value, now = new Date()) {
+    if (value === undefined || value === null || value === '') {
+      return now.toISOString().split('T')[0];
+    }
+
+    const date = String(value);
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(parsed) || parsed.toISOString().split('T')[0] !== date) {
+      throw new Error('Run date must be in YYYY-MM-DD format');
+    }
+
+    return date;
+  }
+
+  /**
+   * Create a pending run from the routine definition. Task titles and
+   * estimates are copied so later edits to the routine do not rewrite history.
+   * Options carry a chosen variant (see RoutineVariants.buildRunOptions).
+   * The bare-minimum task IDs always come along, so a run created without
+   * picking a variant can still end as a partial success.
+   */
+  createRun(routine, date, options = {}) {
+    const tasks = options.tasks || routine.tasks || [];
+
+    return {
+      id: this.getRunId(routine.id, date),
+      routineId: routine.id,
+      routineTitle: routine.title,
+      date,
+      status: 'pending',
+      variant: options.variant || 'full',
+      energyLevel: options.energyLevel ?? null,
+      energySource: options.energySource || null,
+      minimumTaskIds: options.minimumTaskIds || (routine.variants?.minimum?.tasks || []).map(task => task.taskId),
+      tasks: tasks.map(task => this.createTaskState(task)),
+      startedAt: null,
+      endedAt: null,
+      outcome: null
+    };
+  }
+
+  /**
+   * Switch a run that has not started yet to another variant
+   */
+  applyVariant(run, routine, options) {
+    if (run.status !== 'pending') {
+      throw new Error('Cannot change the variant of a routine run that has already started');
+    }
+
+    return this.createRun(routine, run.date, options);
+  }
+
+  /**
+   * Initial per-task state for a run
+   */
+  createTaskState(task) {
+    return {
+      taskId: task.id,
+      title: task.title,
+      estimatedDuration: task.estimatedDuration || 0,
+      estimateAdjustment: task.estimateAdjustment || null,
+      bufferTime: task.bufferTime || 0,
+      status: 'pending',
+      completedAt: null,
+      skippedAt: null,
+      actualDuration: null,
+      skipReason: null,
+      comment: null,
+      feedback: null,
+      mood: null,
+      energyLevel: null,
+      focusSessionId: null
+    };
+  }
+
+  /**
+   * Whether a completed task's actual time was measured. Completions without
+   * a reported duration default the actual time to the estimate; older runs
+   * without the flag count when the player timed them.
+   */
+  isDurationMeasured(task) {
+    return task.durationMeasured === true || (task.durationMeasured === undefined && task.elapsedMs > 0);
+  }
+
+  /**
+   * Mark a task complete within the run
+   */
+  completeTask(run, routine, taskId, details = {}, now = new Date()) {
+    return this.resolveTask(run, routine, taskId, now, task => ({
+      ...task,
+      status: 'completed',
+      completedAt: now,
+      actualDuration: details.actualDuration || task.estimatedDuration,
+      durationMeasured: details.actualDuration > 0, // Otherwise the estimate stands in
+      feedback: details.feedback || null,
+      mood: details.mood || null,
+      energyLevel: details.energyLevel || null
+    }));
+  }
+
+  /**
+   * Mark a task skipped within the run
+   */
+  skipTask(run, routine, taskId, details = {}, now = new Date()) {
+    return this.resolveTask(run, routine, taskId, now, task => ({
+      ...task,
+      status: 'skipped',
+      skippedAt: now,
+      skipReason: details.reason || 'No reason provided',
+      comment: details.comment || null
+    }));
+  }
+
+  /**
+   * Attach per-run data to a task without resolving it (e.g. a focus session)
+   */
+  updateTask(run, routine, taskId, changes) {
+    const tasks = this.withTask(run, routine, taskId);
+
+    return {
+      ...run,
+      tasks: tasks.map(task => task.taskId === taskId ? { ...task, ...changes } : task)
+    };
+  }
+
+  /**
+   * Apply a task transition, starting the run on its first task and
+   * finishing it once every task is completed or skipped
+   */
+  resolveTask(run, routine, taskId, now, transition) {
+    if (this.finishedStatuses.includes(run.status)) {
+      throw new Error(`This routine run is already ${run.status}`);
+    }
+
+    const tasks = this.withTask(run, routine, taskId);
+    const task = tasks.find(item => item.taskId === taskId);
+
+    if (task.status !== 'pending') {
+      throw new Error(`Task is already ${task.status} in this run`);
+    }
+
+    const updated = {
+      ...run,
+      status: 'in_progress',
+      startedAt: run.startedAt || now,
+      tasks: tasks.map(item => item.taskId === taskId ? transition(item) : item)
+    };
+
+    return updated.tasks.every(item => item.status !== 'pending')
+      ? this.finishRun(updated, now)
+      : updated;
+  }
+
+  /**
+   * Close a run and record its outcome
+   */
+  finishRun(run, now = new Date()) {
+    const outcome = this.summarize(run);
+    let status = 'partial';
+    if (outcome.completedTasks === outcome.totalTasks) status = 'completed';
+    if (outcome.completedTasks === 0) status = 'skipped';
+
+    return {
+      ...run,
+      status,
+      endedAt: now,
+      outcome: { ...outcome, success: this.getSuccessLevel({ ...run, status }) }
+    };
+  }
+
+  /**
+   * How much a finished run counts for: 'full' when every planned task was
+   * done, 'partial' when at least the bare minimum was done (including a
+   * completed bare-minimum run), otherwise 'none'
+   */
+  getSuccessLevel(run) {
+    if (run.status === 'completed') {
+      return run.variant === 'minimum' ? 'partial' : 'full';
+    }
+
+    const minimumTaskIds = run.minimumTaskIds || [];
+    const minimumDone = minimumTaskIds.length > 0 && minimumTaskIds.every(taskId =>
+      (run.tasks || []).some(task => task.taskId === taskId && task.status === 'completed')
+    );
+
+    return minimumDone ? 'partial' : 'none';
+  }
+
+  /**
+   * Outcome totals for a run
+   */
+  summarize(run) {
+    const tasks = run.tasks || [];
+    const completed = tasks.filter(task => task.status === 'completed');
+    const skipped = tasks.filter(task => task.status === 'skipped');
+
+    return {
+      completedTasks: completed.length,
+      skippedTasks: skipped.length,
+      totalTasks: tasks.length,
+      completionRate: tasks.length > 0 ? Math.round((completed.length / tasks.length) * 100) : 0,
+      estimatedDuration: tasks.reduce((sum, task) => sum + (task.estimatedDuration || 0), 0),
+      actualDuration: completed.reduce((sum, task) => sum + (task.actualDuration || 0), 0)
+    };
+  }
+
+  /**
+   * Aggregate statistics over many runs. Only finished runs count towards
+   * the completion rate, so in-progress days do not drag it down. Bare-minimum
+   * days are counted as partial successes rather than failures.
+   */
+  analyze(runs = []) {
+    const finished = runs.filter(run => this.finishedStatuses.includes(run.status));
+    const count = status => finished.filter(run => run.status === status).length;
+    const successes = level => finished.filter(run => this.getSuccessLevel(run) === level).length;
+    const completedRuns = successes('full');
+    const partialSuccessRuns = successes('partial');
+    const outcomes = finished.map(run => run.outcome || this.summarize(run));
+    const durations = outcomes.filter(outcome => outcome.actualDuration > 0);
+    const rate = value => finished.length > 0
+      ? Math.round((value / finished.length) * 10000) / 100
+      : 0;
+
+    return {
+      totalRuns: runs.length,
+      finishedRuns: finished.length,
+      completedRuns,
+      partialSuccessRuns,
+      partialRuns: count('partial'),
+      skippedRuns: count('skipped'),
+      completionRate: rate(completedRuns),
+      successRate: rate(completedRuns + partialSuccessRuns),
+      taskCompletionRate: outcomes.length > 0
+        ? Math.round(outcomes.reduce((sum, outcome) => sum + outcome.completionRate, 0) / outcomes.length * 100) / 100
+        : 0,
+      averageDuration: durations.length > 0
+        ? Math.round(durations.reduce((sum, outcome) => sum + outcome.actualDuration, 0) / durations.length)
+        : null
+    };
+  }
+
+  /**
+   * Flatten runs into per-task entries shaped like routine history rows
+   * (routineId, taskId, completedAt / skippedAt, actualDuration, skipReason)
+   */
+  getTaskEntries(runs = []) {
+    return runs.flatMap(run => (run.tasks || [])
+      .filter(task => task.status !== 'pending')
+      .map(task => ({
+        ...task,
+        runId: run.id,
+        routineId: run.routineId,
+        date: run.date,
+        completedAt: task.completedAt ? this.toDate(task.completedAt) : null,
+        skippedAt: task.skippedAt ? this.toDate(task.skippedAt) : null
+      })));
+  }
+
+  /**
+   * Run tasks including any added to the routine after the run was created.
+   * Throws when the task is not part of the routine.
+   */
+  withTask(run, routine, taskId) {
+    const tasks = run.tasks || [];
+    if (tasks.some(task => task.taskId === taskId)) {
+      return tasks;
+    }
+
+    const definition = (routine?.tasks || []).find(task => task.id === taskId);
+    if (!definition) {
+      throw new Error('Task not found in routine');
+    }
+
+    return [...tasks, this.createTaskState(definition)];
+  }
+
+  /**
+   * Accept Dates, ISO strings and Firestore timestamps
+   */
+  toDate(value) {
+    if (value instanceof Date) return value;
+    if (value && typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+  }
+}
+
+module.exports = RoutineRunTracker;
@@ -0,0 +1,249 @@
+const RecurrenceEngine = require('./recurrenceEngine');
+const {
+  zonedTimeToUtc,
+  getLocalDateString,
+  getWeekday,
+  eachDate,
+  isDateString
+} = require('../utils/timeZoneUtils');
+
+/**
+ * Routine Scheduler
+ * Interprets a routine's schedule fields (scheduleType, scheduleDays,
+ * scheduleDate, customSchedule) and expands them into dated occurrences in
+ * the user's time zone
+ *
+ * scheduleType:
+ * - daily: every day, or only on scheduleDays when given
+ * - weekdays / weekends
+ * - weekly: on scheduleDays (weekday names or 0-6), else the anchor date's weekday
+ * - monthly: on scheduleDays (days of the month), else the anchor date's day
+ * - once: only on scheduleDate
+ * - custom: customSchedule is a recurrence rule (preset, RRULE or rule object)
+ *
+ * For recurring types scheduleDate, when set, is the first day of the schedule.
+ * The anchor date is scheduleDate, or the day the routine was created when it
+ * has none; weekly and monthly routines without an anchor never match.
+ */
+class RoutineScheduler {
+  constructor(config = {}) {
+    this.config = {
+      maxDays: 62, // Longest range expanded in one request
+      ...config
+    };
+
+    this.recurrenceEngine = new RecurrenceEngine();
+
+    this.weekdayNames = {
+      sunday: 0, sun: 0, su: 0,
+      monday: 1, mon: 1, mo: 1,
+      tuesday: 2, tue: 2, tu: 2,
+      wednesday: 3, wed: 3, we: 3,
+      thursday: 4, thu: 4, th: 4,
+      friday: 5, fri: 5, fr: 5,
+      saturday: 6, sat: 6, sa: 6
+    };
+  }
+
+  /**
+   * Dates (YYYY-MM-DD) between from and to inclusive on which a routine runs
+   */
+  getOccurrenceDates(routine, from, to, timeZone = 'UTC') {
+    if (!routine || routine.isTemplate || routine.isActive === false) {
+      return [];
+    }
+
+    const startDate = this.getStartDate(routine, timeZone);
+    const rangeStart = startDate && startDate > from ? startDate : from;
+    if (rangeStart > to) {
+      return [];
+    }
+
+    const type = String(routine.scheduleType || 'daily').toLowerCase();
+
+    if (type === 'once') {
+      return startDate && startDate >= from && startDate <= to ? [startDate] : [];
+    }
+
+    const anchorDate = startDate || this.getCreatedDate(routine, timeZone);
+
+    if (type === 'custom') {
+      return this.getCustomDates(routine, anchorDate || from, rangeStart, to);
+    }
+
+    return eachDate(rangeStart, to).filter(date => this.matchesDate(type, routine, date, anchorDate));
+  }
+
+  /**
+   * Whether a simple (non-custom) schedule includes a date. anchorDate fixes
+   * the weekday or day of month when scheduleDays is empty.
+   */
+  matchesDate(type, routine, date, anchorDate) {
+    const weekday = getWeekday(date);
+    const days = routine.scheduleDays || [];
+
+    switch (type) {
+      case 'daily':
+        return days.length === 0 || this.normalizeWeekdays(days).includes(weekday);
+      case 'weekdays':
+        return weekday >= 1 && weekday <= 5;
+      case 'weekends':
+        return weekday === 0 || weekday === 6;
+      case 'weekly': {
+        if (days.length === 0 && !anchorDate) {
+          return false;
+        }
+        const weekdays = days.length > 0
+          ? this.normalizeWeekdays(days)
+          : [getWeekday(anchorDate)];
+        return weekdays.includes(weekday);
+      }
+      case 'monthly': {
+        if (days.length === 0 && !anchorDate) {
+          return false;
+        }
+        const dayOfMonth = parseInt(date.split('-')[2]);
+        const daysInMonth = new Date(Date.UTC(
+          parseInt(date.split('-')[0]),
+          parseInt(date.split('-')[1]),
+          0
+        )).getUTCDate();
+        const monthDays = days.length > 0
+          ? days.map(day => parseInt(day)).filter(Number.isInteger)
+          : [parseInt(anchorDate.split('-')[2])];
+
+        // Days past the end of a short month fall on its last day
+        return monthDays.some(day => Math.min(day, daysInMonth) === dayOfMonth);
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Expand a customSchedule recurrence rule. Unreadable rules schedule nothing.
+   */
+  getCustomDates(routine, anchorDate, from, to) {
+    let rule;
+    try {
+      rule = this.recurrenceEngine.normalizeRule(routine.customSchedule);
+    } catch (error) {
+      return [];
+    }
+
+    return this.recurrenceEngine
+      .getOccurrences(rule, `${anchorDate}T00:00:00Z`, `${from}T00:00:00Z`, to)
+      .map(date => date.toISOString().split('T')[0]);
+  }
+
+  /**
+   * Agenda items for a routine's occurrences. Routines with a startTime get a
+   * timed slot in the user's time zone; others are all-day items.
+   */
+  expandRoutine(routine, from, to, timeZone = 'UTC') {
+    const duration = this.getDuration(routine);
+
+    return this.getOccurrenceDates(routine, from, to, timeZone).map(date => {
+      const allDay = !routine.startTime;
+      const start = zonedTimeToUtc(date, routine.startTime || '00:00', timeZone);
+      let end;
+
+      if (allDay) {
+        end = zonedTimeToUtc(date, '23:59', timeZone);
+      } else if (routine.endTime) {
+        end = zonedTimeToUtc(date, routine.endTime, timeZone);
+        // Routines that end after midnight finish the next day
+        if (end <= start) {
+          end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+        }
+      } else {
+        end = new Date(start.getTime() + duration * 60 * 1000);
+      }
+
+      return {
+        type: 'routine',
+        id: `routine_${routine.id}_${date}`,
+        routineId: routine.id,
+        date,
+        title: routine.title,
+        start: start.toISOString(),
+        end: end.toISOString(),
+        allDay,
+        duration,
+        priority: routine.priority || 'medium',
+        taskCount: (routine.tasks || []).length
+      };
+    });
+  }
+
+  /**
+   * Total planned minutes of a routine including buffers
+   */
+  getDuration(routine) {
+    return (routine.tasks || []).reduce(
+      (sum, task) => sum + (task.estimatedDuration || 0) + (task.bufferTime || 0),
+      0
+    );
+  }
+
+  /**
+   * Local date of scheduleDate, if any: the first day of a recurring
+   * schedule or the only day of a one-off routine
+   */
+  getStartDate(routine, timeZone) {
+    if (isDateString(routine.scheduleDate)) {
+      return routine.scheduleDate;
+    }
+
+    if (routine.scheduleDate) {
+      const date = new Date(routine.scheduleDate);
+      return isNaN(date) ? null : getLocalDateString(date, timeZone);
+    }
+
+    return null;
+  }
+
+  /**
+   * Local date the routine was created (a Firestore Timestamp, Date or ISO
+   * string), if known
+   */
+  getCreatedDate(routine, timeZone) {
+    const createdAt = routine.createdAt?.toDate ? routine.createdAt.toDate() : routine.createdAt;
+    if (!createdAt) {
+      return null;
+    }
+
+    const date = new Date(createdAt);
+    return isNaN(date) ? null : getLocalDateString(date, timeZone);
+  }
+
+  /**
+   * Normalize weekday names or numbers to day numbers (Sunday = 0)
+   */
+  normalizeWeekdays(days) {
+    return days
+      .map(day => typeof day === 'number' ? day : this.weekdayNames[String(day).trim().toLowerCase()] ?? parseInt(day))
+      .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+  }
+
+  /**
+   * Validate a from/to date range and return the number of days it covers
+   */
+  validateRange(from, to) {
+    if (!isDateString(from) || !isDateString(to)) {
+      throw new Error('from and to must be dates in YYYY-MM-DD format');
+    }
+    if (to < from) {
+      throw new Error('to must not be before from');
+    }
+
+    const days = Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000)) + 1;
+    if (days > this.config.maxDays) {
+      throw new Error(`Date range cannot exceed ${this.config.maxDays} days`);
+    }
+
+    return days;
+  }
+}
+
+module.exports = RoutineScheduler;
@@ -0,0 +1,180 @@
+/**
+ * Routine Variants
+ * Lets a routine define lighter versions of itself for low-energy days:
+ * "reduced" and "minimum" (bare minimum) are subsets of the routine's tasks
+ * with optionally shortened durations, while "full" is the routine as
+ * defined. Picks a variant from the user's energy level (1-10).
+ */
+class RoutineVariants {
+  constructor(config = {}) {
+    this.config = {
+      minimumMaxEnergy: 3, // Energy at or below this prefers the bare minimum
+      reducedMaxEnergy: 6, // Energy at or below this prefers the reduced variant
+      ...config
+    };
+
+    this.variantNames = ['full', 'reduced', 'minimum'];
+  }
+
+  /**
+   * Validate variant definitions against the routine's tasks. Each variant is
+   * a list of { taskId | index, estimatedDuration? } or plain task IDs. With
+   * strict off, references to tasks that no longer exist are dropped.
+   */
+  normalize(variants, tasks = [], { strict = true } = {}) {
+    if (variants === undefined || variants === null) {
+      return null;
+    }
+
+    if (typeof variants !== 'object' || Array.isArray(variants)) {
+      throw new Error('Variants must be an object with reduced and/or minimum entries');
+    }
+
+    const normalized = {};
+
+    for (const [name, definition] of Object.entries(variants)) {
+      if (name === 'full') continue; // The routine itself
+      if (!this.variantNames.includes(name)) {
+        throw new Error(`Unknown routine variant: ${name}`);
+      }
+      if (definition === null) continue;
+
+      const entries = Array.isArray(definition) ? definition : definition.tasks;
+      if (!Array.isArray(entries)) {
+        throw new Error(`Variant "${name}" must list its tasks`);
+      }
+
+      const variantTasks = entries
+        .map(entry => this.normalizeEntry(entry, tasks, name, strict))
+        .filter(Boolean);
+
+      // Keep the routine's task order
+      variantTasks.sort((a, b) =>
+        tasks.findIndex(task => task.id === a.taskId) - tasks.findIndex(task => task.id === b.taskId)
+      );
+
+      if (variantTasks.length > 0) {
+        normalized[name] = { tasks: variantTasks };
+      } else if (strict) {
+        throw new Error(`Variant "${name}" must include at least one task`);
+      }
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Normalize one task reference of a variant
+   */
+  normalizeEntry(entry, tasks, name, strict) {
+    const reference = typeof entry === 'object' && entry !== null ? entry : { taskId: entry };
+    const task = reference.taskId !== undefined
+      ? tasks.find(item => item.id === reference.taskId)
+      : tasks[parseInt(reference.index)];
+
+    if (!task) {
+      if (strict) {
+        throw new Error(`Variant "${name}" references a task that is not in the routine`);
+      }
+      return null;
+    }
+
+    let duration = task.estimatedDuration;
+    if (reference.estimatedDuration !== undefined && reference.estimatedDuration !== null) {
+      duration = Number(reference.estimatedDuration);
+      if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error(`Variant "${name}" durations must be positive numbers of minutes`);
+      }
+      // Variants are lighter versions; never longer than the full task
+      duration = Math.min(duration, task.estimatedDuration);
+    }
+
+    return { taskId: task.id, estimatedDuration: duration };
+  }
+
+  /**
+   * Pick a variant for an energy level, falling back to the nearest heavier
+   * variant the routine actually defines
+   */
+  select(routine, energyLevel) {
+    const variants = routine.variants || {};
+    if (energyLevel === null || energyLevel === undefined) {
+      return 'full';
+    }
+
+    if (energyLevel <= this.config.minimumMaxEnergy) {
+      if (variants.minimum) return 'minimum';
+      if (variants.reduced) return 'reduced';
+    } else if (energyLevel <= this.config.reducedMaxEnergy && variants.reduced) {
+      return 'reduced';
+    }
+
+    return 'full';
+  }
+
+  /**
+   * Task definitions for a variant, with its shortened durations applied
+   */
+  getTasks(routine, variant) {
+    const definition = variant !== 'full' ? routine.variants?.[variant] : null;
+    if (!definition) {
+      return routine.tasks || [];
+    }
+
+    return definition.tasks
+      .map(entry => {
+        const task = (routine.tasks || []).find(item => item.id === entry.taskId);
+        return task ? { ...task, estimatedDuration: entry.estimatedDuration } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Build run options for a routine: an explicit variant wins, otherwise the
+   * variant is chosen from the energy level
+   */
+  buildRunOptions(routine, { variant, energyLevel = null, energySource = 'default' } = {}) {
+    if (variant !== undefined && variant !== null) {
+      if (!this.variantNames.includes(variant)) {
+        throw new Error(`Variant must be one of: ${this.variantNames.join(', ')}`);
+      }
+      if (variant !== 'full' && !routine.variants?.[variant]) {
+        throw new Error(`This routine has no "${variant}" variant`);
+      }
+    }
+
+    const chosen = variant || this.select(routine, energyLevel);
+
+    return {
+      variant: chosen,
+      energyLevel,
+      energySource: variant ? 'requested' : energySource,
+      tasks: this.getTasks(routine, chosen),
+      minimumTaskIds: (routine.variants?.minimum?.tasks || []).map(task => task.taskId)
+    };
+  }
+
+  /**
+   * Validate a 1-10 energy level
+   */
+  normalizeEnergyLevel(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const level = Number(value);
+    if (!Number.isFinite(level) || level < 1 || level > 10) {
+      throw new Error('Energy level must be between 1 and 10');
+    }
+    return level;
+  }
+
+  /**
+   * Variants a routine offers, for clients to show a picker
+   */
+  getAvailableVariants(routine) {
+    return this.variantNames.filter(name => name === 'full' || routine.variants?.[name]);
+  }
+}
+
+module.exports = RoutineVariants;
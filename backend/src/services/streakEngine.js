@@ -0,0 +1,213 @@
+const { addDays, isDateString } = require('../utils/timeZoneUtils');
+
+/**
+ * Streak Engine
+ * Tracks consecutive active days for a streak (todos, one routine or overall
+ * activity). Days are local YYYY-MM-DD dates, so callers resolve the user's
+ * time zone first. A gap of missed days is bridged by grace days first and
+ * earned streak freezes second; anything longer breaks the streak. Streaks
+ * count active days, and streaks with a schedule (routines) only miss the
+ * days they were scheduled for.
+ */
+class StreakEngine {
+  constructor(config = {}) {
+    this.config = {
+      graceDays: 1, // Missed days forgiven in each gap
+      maxGraceDays: 3,
+      freezeEvery: 7, // Active days needed to earn a streak freeze
+      maxFreezes: 2,
+      maxHistory: 50, // Broken streaks kept per state
+      ...config
+    };
+  }
+
+  /**
+   * Empty state for a streak key ('overall', 'todos', 'routine_<id>')
+   */
+  createState(key, { type = key, routineId = null } = {}) {
+    return {
+      key,
+      type,
+      routineId,
+      current: 0,
+      longest: 0,
+      startDate: null,
+      lastActiveDate: null,
+      freezes: 0,
+      freezesEarned: 0,
+      freezesUsed: 0,
+      graceDaysUsed: 0,
+      history: []
+    };
+  }
+
+  /**
+   * Record activity on a date. Activity on or before the last active day
+   * changes nothing, so recording is idempotent.
+   */
+  recordActivity(state, date, { graceDays, isScheduled } = {}) {
+    if (!isDateString(date)) {
+      throw new Error('Streak date must be in YYYY-MM-DD format');
+    }
+
+    if (state.lastActiveDate && date <= state.lastActiveDate) {
+      return state;
+    }
+
+    const grace = this.normalizeGraceDays(graceDays);
+    let next = { ...state, history: [...(state.history || [])] };
+
+    if (!state.lastActiveDate || state.current === 0) {
+      next = this.beginStreak(next, date);
+    } else {
+      const missed = this.getMissedDates(state.lastActiveDate, date, grace + state.freezes + 1, isScheduled);
+      const freezesNeeded = Math.max(0, missed.length - grace);
+
+      if (freezesNeeded <= state.freezes) {
+        next.current = state.current + 1;
+        next.freezes = state.freezes - freezesNeeded;
+        next.freezesUsed = (state.freezesUsed || 0) + freezesNeeded;
+        next.graceDaysUsed = (state.graceDaysUsed || 0) + Math.min(missed.length, grace);
+      } else {
+        next.history = [...next.history, {
+          startDate: state.startDate,
+          endDate: state.lastActiveDate,
+          length: state.current,
+          brokenOn: missed[grace + state.freezes]
+        }].slice(-this.config.maxHistory);
+        next = this.beginStreak(next, date);
+      }
+    }
+
+    // Earn a freeze for every freezeEvery active days
+    if (next.current % this.config.freezeEvery === 0 && next.freezes < this.config.maxFreezes) {
+      next.freezes += 1;
+      next.freezesEarned = (next.freezesEarned || 0) + 1;
+    }
+
+    next.longest = Math.max(next.longest || 0, next.current);
+    next.lastActiveDate = date;
+    return next;
+  }
+
+  /**
+   * A streak as of today. Breaks are applied lazily here, so a streak whose
+   * gap can no longer be bridged reads as 0 before the next activity.
+   */
+  getStatus(state, today, { graceDays, isScheduled } = {}) {
+    const grace = this.normalizeGraceDays(graceDays);
+    const base = state || this.createState('overall');
+    const status = {
+      key: base.key,
+      type: base.type,
+      routineId: base.routineId || null,
+      current: base.current,
+      longest: base.longest,
+      startDate: base.startDate,
+      lastActiveDate: base.lastActiveDate,
+      activeToday: base.lastActiveDate === today,
+      atRisk: false,
+      brokenOn: null,
+      freezes: base.freezes,
+      freezesNeeded: 0,
+      graceDays: grace,
+      nextFreezeIn: this.config.freezeEvery - (base.current % this.config.freezeEvery)
+    };
+
+    if (!base.lastActiveDate || base.current === 0 || today <= base.lastActiveDate) {
+      return status;
+    }
+
+    const allowance = grace + base.freezes;
+    const missed = this.getMissedDates(base.lastActiveDate, today, allowance + 1, isScheduled);
+
+    if (missed.length > allowance) {
+      return {
+        ...status,
+        current: 0,
+        startDate: null,
+        brokenOn: missed[allowance],
+        nextFreezeIn: this.config.freezeEvery
+      };
+    }
+
+    const todayScheduled = !isScheduled || isScheduled(today);
+    return {
+      ...status,
+      freezesNeeded: Math.max(0, missed.length - grace),
+      // Missing today as well would break the streak
+      atRisk: todayScheduled && missed.length + 1 > allowance
+    };
+  }
+
+  /**
+   * Streak history: current and longest streak plus every break
+   */
+  getHistory(state, today, options = {}) {
+    const status = this.getStatus(state, today, options);
+    const history = state?.history || [];
+    const streaks = [...history];
+
+    if (status.brokenOn) {
+      streaks.push({
+        startDate: state.startDate,
+        endDate: state.lastActiveDate,
+        length: state.current,
+        brokenOn: status.brokenOn
+      });
+    }
+
+    return {
+      key: status.key,
+      current: status.current,
+      longest: status.longest,
+      startDate: status.startDate,
+      brokenOn: streaks.map(streak => streak.brokenOn),
+      streaks
+    };
+  }
+
+  /**
+   * Expected days strictly between two dates that had no activity, stopping
+   * once `limit` are found
+   */
+  getMissedDates(fromDate, toDate, limit = Infinity, isScheduled = null) {
+    const missed = [];
+    for (let date = addDays(fromDate, 1); date < toDate && missed.length < limit; date = addDays(date, 1)) {
+      if (!isScheduled || isScheduled(date)) {
+        missed.push(date);
+      }
+    }
+    return missed;
+  }
+
+  /**
+   * Start a new streak on a date
+   */
+  beginStreak(state, date) {
+    return {
+      ...state,
+      current: 1,
+      startDate: date,
+      freezesUsed: 0,
+      graceDaysUsed: 0
+    };
+  }
+
+  /**
+   * Validate a grace day setting, falling back to the default
+   */
+  normalizeGraceDays(value) {
+    if (value === undefined || value === null) {
+      return this.config.graceDays;
+    }
+
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0 || days > this.config.maxGraceDays) {
+      throw new Error(`Grace days must be a whole number between 0 and ${this.config.maxGraceDays}`);
+    }
+    return days;
+  }
+}
+
+module.exports = StreakEngine;
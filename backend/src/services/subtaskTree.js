@@ -0,0 +1,290 @@
+/**
+ * Subtask Tree Service
+ * Maintains ordered, arbitrarily nested subtask trees for todos and rolls
+ * completion progress up from leaf steps to the parent todo
+ */
+class SubtaskTree {
+  constructor(config = {}) {
+    this.config = {
+      maxDepth: 10,
+      maxNodes: 500,
+      ...config
+    };
+
+    // Fields a client may change on an existing subtask
+    this.mutableFields = ['title', 'description', 'duration', 'completed', 'order'];
+  }
+
+  /**
+   * Validate and normalize a client-supplied tree: assigns missing IDs,
+   * re-sequences order and recomputes rolled-up progress. IDs must be unique
+   * across the whole tree, since edits address subtasks by ID.
+   */
+  normalize(subtasks = []) {
+    if (!Array.isArray(subtasks)) {
+      throw new Error('Subtasks must be an array');
+    }
+
+    const counter = { nodes: 0, ids: new Set() };
+    return this.rollUp(this.normalizeLevel(subtasks, 1, counter));
+  }
+
+  /**
+   * Normalize one level of the tree
+   */
+  normalizeLevel(subtasks, depth, counter) {
+    if (depth > this.config.maxDepth) {
+      throw new Error(`Subtasks cannot be nested more than ${this.config.maxDepth} levels deep`);
+    }
+
+    return [...subtasks]
+      .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+      .map((subtask, index) => {
+        counter.nodes++;
+        if (counter.nodes > this.config.maxNodes) {
+          throw new Error(`A todo cannot have more than ${this.config.maxNodes} subtasks`);
+        }
+
+        if (!subtask || !subtask.title || typeof subtask.title !== 'string') {
+          throw new Error('Each subtask must have a title');
+        }
+
+        const id = subtask.id || this.generateSubtaskId();
+        if (counter.ids.has(id)) {
+          throw new Error(`Subtask IDs must be unique (${id} is used more than once)`);
+        }
+        counter.ids.add(id);
+
+        return {
+          id,
+          title: subtask.title,
+          description: subtask.description || '',
+          duration: this.normalizeDuration(subtask.duration),
+          completed: Boolean(subtask.completed),
+          completedAt: subtask.completed ? (subtask.completedAt || new Date().toISOString()) : null,
+          order: index,
+          subtasks: this.normalizeLevel(subtask.subtasks || [], depth + 1, counter)
+        };
+      });
+  }
+
+  /**
+   * Add a subtask under a parent subtask (or at the top level when parentId
+   * is empty). Position defaults to the end of the sibling list.
+   */
+  addSubtask(tree, parentId, data, position) {
+    const copy = this.clone(tree);
+    const siblings = parentId ? this.findNode(copy, parentId)?.node.subtasks : copy;
+
+    if (!siblings) {
+      throw new Error('Parent subtask not found');
+    }
+
+    const index = position === undefined || position === null
+      ? siblings.length
+      : Math.max(0, Math.min(siblings.length, parseInt(position)));
+
+    siblings.splice(index, 0, { ...data, id: null });
+    siblings.forEach((sibling, order) => { sibling.order = order; });
+
+    return this.normalize(copy);
+  }
+
+  /**
+   * Apply changes to a single subtask. Completing a subtask completes its
+   * whole branch; reopening it reopens the branch as well.
+   */
+  updateSubtask(tree, subtaskId, changes = {}) {
+    const copy = this.clone(tree);
+    const match = this.findNode(copy, subtaskId);
+
+    if (!match) {
+      throw new Error('Subtask not found');
+    }
+
+    const { node, siblings } = match;
+
+    for (const field of this.mutableFields) {
+      if (changes[field] === undefined) continue;
+
+      if (field === 'order') {
+        const target = Math.max(0, Math.min(siblings.length - 1, parseInt(changes.order)));
+        siblings.splice(siblings.indexOf(node), 1);
+        siblings.splice(target, 0, node);
+        siblings.forEach((sibling, order) => { sibling.order = order; });
+      } else if (field === 'completed') {
+        this.setBranchCompletion(node, Boolean(changes.completed));
+      } else {
+        node[field] = changes[field];
+      }
+    }
+
+    return this.normalize(copy);
+  }
+
+  /**
+   * Remove a subtask and its descendants
+   */
+  removeSubtask(tree, subtaskId) {
+    const copy = this.clone(tree);
+    const match = this.findNode(copy, subtaskId);
+
+    if (!match) {
+      throw new Error('Subtask not found');
+    }
+
+    match.siblings.splice(match.siblings.indexOf(match.node), 1);
+    return this.normalize(copy);
+  }
+
+  /**
+   * Copy a tree with every step reopened, e.g. for the next recurring instance
+   */
+  reset(tree) {
+    const copy = this.clone(tree);
+    copy.forEach(node => this.setBranchCompletion(node, false));
+    return this.normalize(copy);
+  }
+
+  /**
+   * Find a subtask anywhere in the tree
+   */
+  findNode(tree, subtaskId, parent = null) {
+    for (const node of tree) {
+      if (node.id === subtaskId) {
+        return { node, parent, siblings: tree };
+      }
+
+      const match = this.findNode(node.subtasks || [], subtaskId, node);
+      if (match) {
+        return match;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Recompute completion of branch nodes from their children and attach
+   * progress to every node. A branch is complete when all its children are.
+   */
+  rollUp(tree) {
+    return tree.map(node => {
+      if (!node.subtasks || node.subtasks.length === 0) {
+        return { ...node, subtasks: [], progress: this.leafProgress(node) };
+      }
+
+      const subtasks = this.rollUp(node.subtasks);
+      const progress = this.combineProgress(subtasks.map(child => child.progress));
+      const completed = progress.completedSteps === progress.totalSteps;
+
+      return {
+        ...node,
+        completed,
+        completedAt: completed ? (node.completedAt || this.latestCompletion(subtasks)) : null,
+        duration: node.duration ?? progress.totalDuration,
+        subtasks,
+        progress
+      };
+    });
+  }
+
+  /**
+   * Progress summary for a whole tree, used as the parent todo's progress
+   */
+  calculateProgress(tree) {
+    return this.combineProgress(this.rollUp(tree).map(node => node.progress));
+  }
+
+  /**
+   * Whether every step in the tree is complete (false for an empty tree)
+   */
+  isComplete(tree) {
+    return tree.length > 0 && tree.every(node => node.completed);
+  }
+
+  /**
+   * Progress contribution of a leaf step
+   */
+  leafProgress(node) {
+    const duration = node.duration || 0;
+    return {
+      completedSteps: node.completed ? 1 : 0,
+      totalSteps: 1,
+      completedDuration: node.completed ? duration : 0,
+      totalDuration: duration,
+      percentage: node.completed ? 100 : 0
+    };
+  }
+
+  /**
+   * Sum progress objects from sibling nodes
+   */
+  combineProgress(progressList) {
+    const totals = progressList.reduce((acc, progress) => ({
+      completedSteps: acc.completedSteps + progress.completedSteps,
+      totalSteps: acc.totalSteps + progress.totalSteps,
+      completedDuration: acc.completedDuration + progress.completedDuration,
+      totalDuration: acc.totalDuration + progress.totalDuration
+    }), { completedSteps: 0, totalSteps: 0, completedDuration: 0, totalDuration: 0 });
+
+    return {
+      ...totals,
+      percentage: totals.totalSteps > 0
+        ? Math.round((totals.completedSteps / totals.totalSteps) * 100)
+        : 0
+    };
+  }
+
+  /**
+   * Mark a node and all of its descendants complete or incomplete
+   */
+  setBranchCompletion(node, completed) {
+    node.completed = completed;
+    node.completedAt = completed ? new Date().toISOString() : null;
+    (node.subtasks || []).forEach(child => this.setBranchCompletion(child, completed));
+  }
+
+  /**
+   * Most recent completion timestamp among a list of nodes
+   */
+  latestCompletion(nodes) {
+    return nodes
+      .map(node => node.completedAt)
+      .filter(Boolean)
+      .sort()
+      .pop() || new Date().toISOString();
+  }
+
+  /**
+   * Durations are minutes; anything unparseable becomes null
+   */
+  normalizeDuration(duration) {
+    if (duration === undefined || duration === null || duration === '') {
+      return null;
+    }
+
+    const minutes = Number(duration);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      throw new Error('Subtask duration must be a non-negative number of minutes');
+    }
+
+    return minutes;
+  }
+
+  /**
+   * Deep copy a tree so mutations never touch the caller's data
+   */
+  clone(tree) {
+    return JSON.parse(JSON.stringify(tree || []));
+  }
+
+  /**
+   * Generate unique subtask ID
+   */
+  generateSubtaskId() {
+    return 'subtask_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
+
+module.exports = SubtaskTree;
@@ -0,0 +1,71 @@
+/**
+ * Todo Breakdown
+ * Cleans up proposed breakdowns of an overwhelming todo into tiny first
+ * steps, and turns an accepted proposal (optionally edited by the user) into
+ * subtasks for the todo's subtask tree.
+ */
+class TodoBreakdown {
+  constructor(config = {}) {
+    this.config = {
+      minSteps: 3, // Fewer steps is not a usable breakdown
+      maxSteps: 10,
+      maxStepMinutes: 25,
+      defaultStepMinutes: 5,
+      ...config
+    };
+  }
+
+  /**
+   * Clean up proposed steps: titles required, durations 1-25 minutes, at
+   * most 10 steps
+   */
+  normalizeSteps(steps) {
+    if (!Array.isArray(steps)) {
+      return [];
+    }
+
+    return steps
+      .filter(step => step && typeof step.title === 'string' && step.title.trim())
+      .slice(0, this.config.maxSteps)
+      .map(step => ({
+        title: step.title.trim(),
+        duration: Math.max(1, Math.min(
+          this.config.maxStepMinutes,
+          Math.round(Number(step.duration) || this.config.defaultStepMinutes)
+        ))
+      }));
+  }
+
+  /**
+   * Whether normalized steps make a usable breakdown
+   */
+  isUsable(steps) {
+    return steps.length >= this.config.minSteps;
+  }
+
+  /**
+   * Total planned minutes of a breakdown
+   */
+  getTotalDuration(steps) {
+    return steps.reduce((sum, step) => sum + step.duration, 0);
+  }
+
+  /**
+   * Steps to add when a proposal is accepted. Clients may send an edited
+   * list instead of the proposed one; steps go under parentSubtaskId, or at
+   * the top level of the tree.
+   */
+  prepareAccept(proposal, { steps, parentSubtaskId } = {}) {
+    const acceptedSteps = this.normalizeSteps(steps || proposal.response?.steps);
+    if (acceptedSteps.length === 0) {
+      throw new Error('At least one step is required');
+    }
+
+    return {
+      acceptedSteps,
+      addSubtasks: acceptedSteps.map(step => ({ ...step, parentId: parentSubtaskId || null }))
+    };
+  }
+}
+
+module.exports = TodoBreakdown;
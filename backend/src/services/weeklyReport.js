@@ -0,0 +1,468 @@
+const RoutineRunTracker = require('./routineRuns');
+const { addDays, isDateString, getLocalDateString, getWeekday, zonedTimeToUtc } = require('../utils/timeZoneUtils');
+
+/**
+ * Weekly Report
+ * Assembles the weekly review for a Monday-Sunday ISO week in the user's
+ * time zone: wins, streaks, skipped items grouped by reason, estimation
+ * accuracy, mood trend, top insights and carry-over suggestions for next
+ * week. The caller loads the records; this class shapes them and renders
+ * the report as Markdown or HTML.
+ */
+class WeeklyReport {
+  constructor(config = {}) {
+    this.config = {
+      maxWeeksBack: 52,
+      maxItems: 10, // Wins, skipped items and carry-overs listed per section
+      maxInsights: 3,
+      deliveryDay: 0, // Sunday
+      defaultHour: 18,
+      moodTrendThreshold: 0.5, // Average mood score change that counts as a trend
+      ...config
+    };
+
+    this.tracker = new RoutineRunTracker();
+  }
+
+  /**
+   * Resolve `week` (YYYY-Www, or any YYYY-MM-DD date in the week) to its
+   * Monday..Sunday range. Defaults to the week containing today.
+   */
+  resolveWeek(week, today) {
+    let monday;
+    if (week === undefined || week === null || week === '') {
+      monday = this.getMonday(today);
+    } else if (/^\d{4}-W\d{2}$/.test(week)) {
+      const [year, number] = week.split('-W').map(Number);
+      const jan4 = `${year}-01-04`;
+      monday = addDays(this.getMonday(jan4), (number - 1) * 7);
+      if (number < 1 || this.getWeekId(monday) !== week) {
+        throw new Error(`${week} is not a valid ISO week`);
+      }
+    } else if (isDateString(week)) {
+      monday = this.getMonday(week);
+    } else {
+      throw new Error('Week must be YYYY-Www or a YYYY-MM-DD date');
+    }
+
+    const currentMonday = this.getMonday(today);
+    if (monday > currentMonday) {
+      throw new Error('Week cannot be in the future');
+    }
+    const weeksBack = Math.round((new Date(`${currentMonday}T00:00:00Z`) - new Date(`${monday}T00:00:00Z`)) / (7 * 86400000));
+    if (weeksBack > this.config.maxWeeksBack) {
+      throw new Error(`Weekly reports are available for the last ${this.config.maxWeeksBack} weeks`);
+    }
+
+    return {
+      week: this.getWeekId(monday),
+      from: monday,
+      to: addDays(monday, 6),
+      previousFrom: addDays(monday, -7),
+      previousTo: addDays(monday, -1),
+      complete: addDays(monday, 6) < today
+    };
+  }
+
+  /**
+   * Build the report. `scoreMood` maps a mood to a 1-10 score for the trend.
+   */
+  build({
+    range,
+    timeZone = 'UTC',
+    rollups = [],
+    previousRollups = [],
+    completedTodos = [],
+    openTodos = [],
+    runs = [],
+    routines = new Map(),
+    streaks = [],
+    estimation = null,
+    insights = [],
+    scoreMood = null,
+    generatedAt = new Date()
+  }) {
+    const summary = this.summarize(rollups);
+    const previous = this.summarize(previousRollups);
+    const skipped = this.groupSkipped(runs, routines);
+
+    const report = {
+      week: range.week,
+      from: range.from,
+      to: range.to,
+      timeZone,
+      complete: range.complete,
+      generatedAt: generatedAt.toISOString(),
+      summary: {
+        ...summary,
+        previousWeek: previous,
+        change: {
+          completed: summary.completed - previous.completed,
+          focusMinutes: summary.focusMinutes - previous.focusMinutes
+        }
+      },
+      wins: this.getWins(completedTodos, runs, routines, timeZone),
+      streaks: streaks.map(streak => ({
+        key: streak.key,
+        type: streak.type,
+        title: streak.title || null,
+        current: streak.current,
+        longest: streak.longest,
+        atRisk: streak.atRisk,
+        brokenOn: streak.brokenOn
+      })),
+      skipped,
+      estimation: estimation ? {
+        message: estimation.message,
+        ratio: estimation.overall.ratio,
+        direction: estimation.overall.direction,
+        samples: estimation.overall.samples,
+        reliable: estimation.reliable
+      } : null,
+      mood: this.getMoodTrend(rollups, previousRollups, scoreMood),
+      insights: insights.slice(0, this.config.maxInsights).map(({ type, title, message }) => ({ type, title, message }))
+    };
+
+    report.carryOver = this.getCarryOver(report, openTodos, range);
+    return report;
+  }
+
+  /**
+   * Totals for a week of rollups
+   */
+  summarize(rollups) {
+    const sum = read => rollups.reduce((total, rollup) => total + (read(rollup) || 0), 0);
+    const todos = sum(rollup => rollup.completions?.todos);
+    const routineSteps = sum(rollup => rollup.completions?.routineSteps);
+    const skippedSteps = sum(rollup => rollup.skips?.routineSteps);
+
+    return {
+      todosCompleted: todos,
+      routinesCompleted: sum(rollup => rollup.completions?.routines),
+      routineSteps,
+      skippedSteps,
+      completed: todos + routineSteps,
+      focusMinutes: sum(rollup => rollup.focusMinutes),
+      activeDays: rollups.filter(rollup =>
+        (rollup.completions?.todos || 0) + (rollup.completions?.routineSteps || 0) > 0 || rollup.focusMinutes > 0
+      ).length
+    };
+  }
+
+  /**
+   * Completed todos and routine runs that reached full or partial success
+   */
+  getWins(completedTodos, runs, routines, timeZone) {
+    const todos = completedTodos
+      .filter(todo => todo.completedAt)
+      .map(todo => ({
+        id: todo.id,
+        title: todo.title,
+        date: getLocalDateString(this.tracker.toDate(todo.completedAt), timeZone)
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const routineWins = runs
+      .filter(run => this.tracker.finishedStatuses.includes(run.status) && this.tracker.getSuccessLevel(run) !== 'none')
+      .map(run => ({
+        routineId: run.routineId,
+        title: routines.get(run.routineId)?.title || 'Routine',
+        date: run.date,
+        success: this.tracker.getSuccessLevel(run)
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      todos: todos.slice(0, this.config.maxItems),
+      routines: routineWins.slice(0, this.config.maxItems),
+      totalTodos: todos.length,
+      totalRoutines: routineWins.length
+    };
+  }
+
+  /**
+   * Skipped routine steps grouped by reason, most frequent first
+   */
+  groupSkipped(runs, routines) {
+    const groups = new Map();
+
+    for (const run of runs) {
+      for (const task of run.tasks || []) {
+        if (task.status !== 'skipped') continue;
+
+        const reason = task.skipReason || 'No reason provided';
+        const group = groups.get(reason) || { reason, count: 0, items: [] };
+        group.count++;
+        group.items.push({
+          routineId: run.routineId,
+          routineTitle: routines.get(run.routineId)?.title || 'Routine',
+          taskId: task.taskId,
+          title: task.title,
+          date: run.date
+        });
+        groups.set(reason, group);
+      }
+    }
+
+    return [...groups.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(group => ({ ...group, items: group.items.slice(0, this.config.maxItems) }));
+  }
+
+  /**
+   * Moods logged per day and whether the average mood rose or fell
+   * compared to the previous week
+   */
+  getMoodTrend(rollups, previousRollups, scoreMood) {
+    const countMoods = list => list.reduce((counts, rollup) => {
+      Object.entries(rollup.moods?.byMood || {}).forEach(([mood, count]) => {
+        if (count > 0) counts[mood] = (counts[mood] || 0) + count;
+      });
+      return counts;
+    }, {});
+    const averageScore = counts => {
+      const entries = Object.entries(counts);
+      const total = entries.reduce((sum, [, count]) => sum + count, 0);
+      if (!scoreMood || total === 0) return null;
+      return entries.reduce((sum, [mood, count]) => sum + scoreMood(mood) * count, 0) / total;
+    };
+
+    const counts = countMoods(rollups);
+    const average = averageScore(counts);
+    const previousAverage = averageScore(countMoods(previousRollups));
+
+    let trend = 'unknown';
+    if (average !== null && previousAverage !== null) {
+      const change = average - previousAverage;
+      trend = Math.abs(change) < this.config.moodTrendThreshold ? 'stable' : change > 0 ? 'improving' : 'declining';
+    }
+
+    const mostCommon = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      trend,
+      entries: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      mostCommon: mostCommon ? mostCommon[0] : null,
+      averageScore: average !== null ? Math.round(average * 10) / 10 : null,
+      previousAverageScore: previousAverage !== null ? Math.round(previousAverage * 10) / 10 : null,
+      days: rollups.map(rollup => ({
+        date: rollup.date,
+        moods: Object.keys(rollup.moods?.byMood || {}).filter(mood => rollup.moods.byMood[mood] > 0)
+      }))
+    };
+  }
+
+  /**
+   * Suggestions for next week: open todos due by the end of next week,
+   * routine steps skipped repeatedly, streaks at risk and estimate padding
+   */
+  getCarryOver(report, openTodos, range) {
+    const suggestions = [];
+    const nextWeekEnd = addDays(range.to, 7);
+
+    openTodos
+      .filter(todo => todo.dueDate && String(todo.dueDate).slice(0, 10) <= nextWeekEnd)
+      .sort((a, b) => String(a.dueDate).localeCompare(String(b.dueDate)))
+      .forEach(todo => {
+        const due = String(todo.dueDate).slice(0, 10);
+        suggestions.push({
+          type: 'todo',
+          todoId: todo.id,
+          message: due <= range.to ? `Carry over "${todo.title}" (was due ${due})` : `Plan time for "${todo.title}" (due ${due})`
+        });
+      });
+
+    const skipsByTask = new Map();
+    report.skipped.flatMap(group => group.items).forEach(item => {
+      const key = `${item.routineId}:${item.taskId}`;
+      const entry = skipsByTask.get(key) || { ...item, count: 0 };
+      entry.count++;
+      skipsByTask.set(key, entry);
+    });
+    [...skipsByTask.values()]
+      .filter(entry => entry.count >= 2)
+      .sort((a, b) => b.count - a.count)
+      .forEach(entry => suggestions.push({
+        type: 'routine_task',
+        routineId: entry.routineId,
+        taskId: entry.taskId,
+        message: `"${entry.title}" in ${entry.routineTitle} was skipped ${entry.count} times; shorten it, move it or drop it to the reduced variant`
+      }));
+
+    report.streaks
+      .filter(streak => streak.atRisk)
+      .forEach(streak => suggestions.push({
+        type: 'streak',
+        key: streak.key,
+        message: `Keep your ${streak.title || streak.key} streak of ${streak.current} days going early in the week`
+      }));
+
+    if (report.estimation?.reliable && report.estimation.direction === 'under') {
+      suggestions.push({
+        type: 'estimation',
+        message: `Plan with about ${report.estimation.ratio}x your first guess: ${report.estimation.message.toLowerCase()}`
+      });
+    }
+
+    return suggestions.slice(0, this.config.maxItems);
+  }
+
+  /**
+   * Render the report as Markdown
+   */
+  toMarkdown(report) {
+    const lines = [`# Weekly review: ${report.from} to ${report.to}`, ''];
+    const { summary } = report;
+    const signed = value => (value > 0 ? `+${value}` : `${value}`);
+
+    lines.push('## Summary', '');
+    lines.push(`- Completed: ${summary.completed} (${signed(summary.change.completed)} vs last week)`);
+    lines.push(`- Todos: ${summary.todosCompleted}, routines: ${summary.routinesCompleted}, routine steps: ${summary.routineSteps}`);
+    lines.push(`- Focus: ${summary.focusMinutes} min (${signed(summary.change.focusMinutes)} min vs last week)`);
+    lines.push(`- Active days: ${summary.activeDays} of 7`, '');
+
+    lines.push('## Wins', '');
+    if (report.wins.totalTodos + report.wins.totalRoutines === 0) {
+      lines.push('- Nothing logged this week, and that is okay. Next week is a fresh start.');
+    }
+    report.wins.todos.forEach(todo => lines.push(`- ✅ ${this.escapeMarkdown(todo.title)} (${todo.date})`));
+    report.wins.routines.forEach(run => lines.push(`- 🔁 ${this.escapeMarkdown(run.title)} (${run.date}${run.success === 'partial' ? ', bare minimum' : ''})`));
+    lines.push('');
+
+    lines.push('## Streaks', '');
+    report.streaks.forEach(streak => {
+      const status = streak.atRisk ? ' - at risk' : streak.brokenOn ? ` - broken on ${streak.brokenOn}` : '';
+      lines.push(`- ${this.escapeMarkdown(streak.title || streak.key)}: ${streak.current} days (best ${streak.longest})${status}`);
+    });
+    lines.push('');
+
+    if (report.skipped.length > 0) {
+      lines.push('## Skipped', '');
+      report.skipped.forEach(group => {
+        lines.push(`- ${this.escapeMarkdown(group.reason)} (${group.count})`);
+        group.items.forEach(item => lines.push(`  - ${this.escapeMarkdown(item.title)} in ${this.escapeMarkdown(item.routineTitle)} (${item.date})`));
+      });
+      lines.push('');
+    }
+
+    if (report.estimation) {
+      lines.push('## Time estimates', '', `- ${report.estimation.message} (${report.estimation.samples} timed tasks)`, '');
+    }
+
+    lines.push('## Mood', '');
+    lines.push(`- Trend: ${report.mood.trend}${report.mood.mostCommon ? `, most often ${this.escapeMarkdown(report.mood.mostCommon)}` : ''}`);
+    lines.push(`- Entries: ${report.mood.entries}`, '');
+
+    if (report.insights.length > 0) {
+      lines.push('## Insights', '');
+      report.insights.forEach(insight => lines.push(`- **${this.escapeMarkdown(insight.title)}**: ${this.escapeMarkdown(insight.message)}`));
+      lines.push('');
+    }
+
+    if (report.carryOver.length > 0) {
+      lines.push('## Next week', '');
+      report.carryOver.forEach(item => lines.push(`- ${this.escapeMarkdown(item.message)}`));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the report as a standalone HTML document
+   */
+  toHtml(report) {
+    const html = value => this.escapeHtml(value);
+    const list = items => items.length > 0 ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : '';
+    const section = (title, body) => body ? `<section><h2>${html(title)}</h2>${body}</section>` : '';
+    const { summary } = report;
+
+    const body = [
+      `<h1>Weekly review: ${html(report.from)} to ${html(report.to)}</h1>`,
+      section('Summary', list([
+        `Completed: ${summary.completed} (${summary.change.completed >= 0 ? '+' : ''}${summary.change.completed} vs last week)`,
+        `Todos: ${summary.todosCompleted}, routines: ${summary.routinesCompleted}, routine steps: ${summary.routineSteps}`,
+        `Focus: ${summary.focusMinutes} min`,
+        `Active days: ${summary.activeDays} of 7`
+      ])),
+      section('Wins', list([
+        ...report.wins.todos.map(todo => `${html(todo.title)} (${html(todo.date)})`),
+        ...report.wins.routines.map(run => `${html(run.title)} (${html(run.date)}${run.success === 'partial' ? ', bare minimum' : ''})`)
+      ]) || '<p>Nothing logged this week, and that is okay. Next week is a fresh start.</p>'),
+      section('Streaks', list(report.streaks.map(streak =>
+        `${html(streak.title || streak.key)}: ${streak.current} days (best ${streak.longest})${streak.atRisk ? ' - at risk' : ''}`
+      ))),
+      section('Skipped', list(report.skipped.map(group =>
+        `${html(group.reason)} (${group.count})${list(group.items.map(item => `${html(item.title)} in ${html(item.routineTitle)} (${html(item.date)})`))}`
+      ))),
+      report.estimation ? section('Time estimates', `<p>${html(report.estimation.message)}</p>`) : '',
+      section('Mood', `<p>Trend: ${html(report.mood.trend)}${report.mood.mostCommon ? `, most often ${html(report.mood.mostCommon)}` : ''}</p>`),
+      section('Insights', list(report.insights.map(insight => `<strong>${html(insight.title)}</strong>: ${html(insight.message)}`))),
+      section('Next week', list(report.carryOver.map(item => html(item.message))))
+    ].filter(Boolean).join('\n');
+
+    return `<!DOCTYPE html>\n<html lang="en">\n<head><meta charset="utf-8"><title>Weekly review ${html(report.week)}</title></head>\n<body>\n${body}\n</body>\n</html>\n`;
+  }
+
+  /**
+   * When the next report is due: the coming delivery day (Sunday) at `hour`
+   * in the user's time zone, strictly after `now`
+   */
+  getNextDelivery(now, timeZone, hour = this.config.defaultHour) {
+    let date = getLocalDateString(now, timeZone);
+    for (let i = 0; i < 8; i++, date = addDays(date, 1)) {
+      if (getWeekday(date) !== this.config.deliveryDay) continue;
+      const at = zonedTimeToUtc(date, `${String(hour).padStart(2, '0')}:00`, timeZone);
+      if (at > now) return at;
+    }
+    return null;
+  }
+
+  /**
+   * Validate a delivery hour (0-23)
+   */
+  normalizeHour(value) {
+    if (value === undefined || value === null) {
+      return this.config.defaultHour;
+    }
+
+    const hour = Number(value);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      throw new Error('Hour must be a whole number between 0 and 23');
+    }
+    return hour;
+  }
+
+  /**
+   * ISO week ID (YYYY-Www) of a date
+   */
+  getWeekId(date) {
+    const thursday = addDays(this.getMonday(date), 3);
+    const year = Number(thursday.slice(0, 4));
+    const firstMonday = this.getMonday(`${year}-01-04`);
+    const week = Math.round((new Date(`${thursday}T00:00:00Z`) - new Date(`${firstMonday}T00:00:00Z`)) / (7 * 86400000)) + 1;
+    return `${year}-W${String(week).padStart(2, '0')}`;
+  }
+
+  /**
+   * Monday on or before a date
+   */
+  getMonday(date) {
+    return addDays(date, -((getWeekday(date) + 6) % 7));
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  escapeMarkdown(value) {
+    return String(value ?? '').replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+  }
+}
+
+module.exports = WeeklyReport;
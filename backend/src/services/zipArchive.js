@@ -0,0 +1,128 @@
+const zlib = require('zlib');
+
+/**
+ * Zip Archive
+ * Minimal writer for standard .zip files (deflate, no encryption, no zip64)
+ * so exports can be bundled without an archiving dependency. Entries are
+ * held in memory and written out by toBuffer().
+ */
+class ZipArchive {
+  constructor() {
+    this.entries = [];
+    this.crcTable = ZipArchive.getCrcTable();
+  }
+
+  /**
+   * Add a file. Content may be a string (written as UTF-8) or a Buffer.
+   */
+  addFile(name, content, modifiedAt = new Date()) {
+    if (!name || name.startsWith('/') || name.split('/').includes('..')) {
+      throw new Error(`Invalid zip entry name: ${name}`);
+    }
+
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    // Store small or incompressible files as-is
+    const stored = compressed.length >= data.length;
+
+    this.entries.push({
+      name: Buffer.from(name, 'utf8'),
+      data: stored ? data : compressed,
+      method: stored ? 0 : 8,
+      crc: this.crc32(data),
+      size: data.length,
+      modifiedAt
+    });
+    return this;
+  }
+
+  /**
+   * The complete archive
+   */
+  toBuffer() {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const { time, date } = this.toDosDateTime(entry.modifiedAt);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4); // Version needed: 2.0
+      local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+      local.writeUInt16LE(entry.method, 8);
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(entry.crc, 14);
+      local.writeUInt32LE(entry.data.length, 18);
+      local.writeUInt32LE(entry.size, 22);
+      local.writeUInt16LE(entry.name.length, 26);
+      local.writeUInt16LE(0, 28);
+      parts.push(local, entry.name, entry.data);
+
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(time, 12);
+      header.writeUInt16LE(date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.data.length, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      header.writeUInt32LE(offset, 42);
+      central.push(header, entry.name);
+
+      offset += local.length + entry.name.length + entry.data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, ...central, end]);
+  }
+
+  crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+      crc = this.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * MS-DOS date and time fields (local time, two-second resolution)
+   */
+  toDosDateTime(value) {
+    const date = value instanceof Date && !isNaN(value) ? value : new Date();
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  static getCrcTable() {
+    if (!ZipArchive.crcTable) {
+      ZipArchive.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipArchive.crcTable[n] = c >>> 0;
+      }
+    }
+    return ZipArchive.crcTable;
+  }
+}
+
+module.exports = ZipArchive;
@@ -0,0 +1,154 @@
+/**
+ * Time zone helpers built on Intl, for working with a user's local calendar
+ * dates (YYYY-MM-DD) and wall-clock times (HH:MM)
+ */
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that splits instants into local date/time parts
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check whether a string is an IANA time zone the runtime understands
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pick the first valid time zone from a list of candidates, falling back to UTC
+ */
+function resolveTimeZone(...candidates) {
+  return candidates.find(candidate => isValidTimeZone(candidate)) || 'UTC';
+}
+
+/**
+ * Local calendar parts of an instant in a time zone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = getFormatter(timeZone).formatToParts(date).reduce((acc, part) => {
+    if (part.type !== 'literal') {
+      acc[part.type] = parseInt(part.value);
+    }
+    return acc;
+  }, {});
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The user's local date (YYYY-MM-DD) for an instant
+ */
+function getLocalDateString(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a local date and wall-clock time in a time zone to a UTC instant.
+ * Times that fall into a DST gap resolve to the instant just after the gap.
+ */
+function zonedTimeToUtc(dateString, time = '00:00', timeZone = 'UTC') {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour = 0, minute = 0] = String(time || '00:00').split(':').map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Re-check the offset at the resulting instant to handle DST transitions
+  const firstGuess = localAsUtc - getTimeZoneOffset(new Date(localAsUtc), timeZone);
+  const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+
+  return new Date(localAsUtc - offset);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Day of the week (Sunday = 0) of a YYYY-MM-DD date
+ */
+function getWeekday(dateString) {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Every date from `from` to `to` inclusive
+ */
+function eachDate(from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Check a YYYY-MM-DD string is a real calendar date
+ */
+function isDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().split('T')[0] === value;
+}
+
+module.exports = {
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  getLocalDateString,
+  zonedTimeToUtc,
+  addDays,
+  getWeekday,
+  eachDate,
+  isDateString
+};